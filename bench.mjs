@@ -0,0 +1,52 @@
+// Encode/decode timings: node bench.mjs [other/index.js …] to compare builds.
+// Each build runs in a child process of its own, so JIT state and load
+// order don't carry over; each case is warmed up, then timed as the best
+// of 5 rounds. Shallow data never reaches the explicit stack, the deep
+// cases cross options.iterativeDepth.
+import { execFileSync } from "node:child_process";
+import { fileURLToPath, pathToFileURL } from "node:url";
+import { resolve } from "node:path";
+
+const list = n => { let v = null; for (let i = 0; i < n; i++) v = { id: i, next: v }; return v; };
+const nest = n => { let v = []; for (let i = 0; i < n; i++) v = [i, v]; return v; };
+const cases = () => [
+  ["shallow", 40, { users: Array.from({ length: 2000 }, (_, i) => ({
+    id: i, name: "user" + i, email: `u${i}@x.org`, tags: ["a", "b", "c"], score: i * 1.5,
+    active: i % 2 === 0, nested: { a: i, b: [1, 2, 3, 4, 5, 6, 7, 8, 9] },
+  })) }],
+  ["list 200", 2000, list(200)],
+  ["list 100k", 5, list(100000)],
+  ["arrays 100k", 5, nest(100000)],
+];
+
+function time(fn, runs) {
+  for (let i = 0; i < runs; i++) fn(); // warm-up
+  let best = Infinity;
+  for (let r = 0; r < 5; r++) {
+    const t = performance.now();
+    for (let i = 0; i < runs; i++) fn();
+    best = Math.min(best, performance.now() - t);
+  }
+  return best.toFixed(1).padStart(9);
+}
+
+async function run(file) {
+  const { default: TurboSerial } = await import(pathToFileURL(resolve(file)).href);
+  const ts = new TurboSerial();
+  console.log(file);
+  for (const [name, runs, value] of cases()) {
+    let bytes;
+    try { bytes = ts.serialize(value); ts.deserialize(bytes); }
+    catch (e) { console.log(`  ${name.padEnd(12)} ${e.constructor.name}: ${e.message}`); continue; }
+    const ser = time(() => ts.serialize(value), runs), de = time(() => ts.deserialize(bytes), runs);
+    console.log(`  ${name.padEnd(12)} x${String(runs).padEnd(5)} encode ${ser} ms  decode ${de} ms  ${bytes.length} bytes`);
+  }
+}
+
+if (process.argv[2] === "--build") await run(process.argv[3]);
+else {
+  const self = fileURLToPath(import.meta.url);
+  for (const file of ["./index.js", ...process.argv.slice(2)]) {
+    execFileSync(process.execPath, ["--no-warnings", self, "--build", file], { stdio: "inherit" });
+  }
+}
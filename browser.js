@@ -1,6 +1,21 @@
-import TurboSerial from "./index.js";
+import TurboSerial, { TurboSerialDecodeError, TurboSerialIntegrityError, TurboSerialDecoder, FrameReader, TurboSerialCursor, TurboSerialDictionary } from "./index.js";
+import { createChannel } from "./channel.js";
 if(typeof window != "undefined"){
     window.TurboSerial = TurboSerial;
+    window.TurboSerialDecodeError = TurboSerialDecodeError;
+    window.TurboSerialIntegrityError = TurboSerialIntegrityError;
+    window.TurboSerialDecoder = TurboSerialDecoder;
+    window.FrameReader = FrameReader;
+    window.TurboSerialCursor = TurboSerialCursor;
+    window.TurboSerialDictionary = TurboSerialDictionary;
+    window.createChannel = createChannel;
 }else {
     self.TurboSerial = TurboSerial;
+    self.TurboSerialDecodeError = TurboSerialDecodeError;
+    self.TurboSerialIntegrityError = TurboSerialIntegrityError;
+    self.TurboSerialDecoder = TurboSerialDecoder;
+    self.FrameReader = FrameReader;
+    self.TurboSerialCursor = TurboSerialCursor;
+    self.TurboSerialDictionary = TurboSerialDictionary;
+    self.createChannel = createChannel;
 }
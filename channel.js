@@ -0,0 +1,216 @@
+// RPC over a MessagePort, Worker or anything else with postMessage() and
+// message events. Every message is [TurboSerial bytes, out-of-band buffers]:
+// ArrayBuffers move in the transfer list, SharedArrayBuffers stay shared.
+
+// Message kinds; each message encodes [kind, id, a, b]
+const CALL = 0, RESULT = 1, ERROR = 2, CANCEL = 3, EVENT = 4, STREAM = 5, NEXT = 6, PULL = 7;
+// A stream handler runs at most this many values ahead of the consumer,
+// who grants half a window (PULL) each time it has read that many
+const WINDOW = 32;
+
+const isShared = b => typeof SharedArrayBuffer !== "undefined" && b instanceof SharedArrayBuffer;
+
+// Errors the serializer can't encode still reach the caller as Errors
+function plainError(e) {
+  const err = new Error(e instanceof Error ? e.message : String(e));
+  if (e instanceof Error) err.name = e.name;
+  return err;
+}
+
+// Default onError: thrown from the port's listener, a bad message would
+// take the process down, so it is reported and dropped instead
+function report(e) {
+  if (typeof reportError === "function") reportError(e);
+  else console.error(e);
+}
+
+// opts.transfer: false clones ArrayBuffers instead of detaching them;
+// opts.onError: receives malformed messages and throwing event listeners
+export function createChannel(port, serializer, opts = {}) {
+  if (!serializer || typeof serializer.serialize !== "function") throw new TypeError("createChannel needs a TurboSerial instance");
+  const transfer = opts.transfer !== false, onError = opts.onError || report;
+  const pending = new Map(); // our calls and streams by id: { next, end, fail }
+  const running = new Map(); // the peer's calls and streams by id: AbortController
+  const flows = new Map(); // the peer's streams by id: { credit, wake }
+  const listeners = new Map(); // event name → Set of functions
+  const handlers = new Map();
+  let nextId = 1, closed = false;
+
+  function post(kind, id, a, b) {
+    const buffers = [], bytes = serializer.serialize([kind, id, a, b], { buffers });
+    const list = [bytes.buffer];
+    if (transfer) for (const buf of buffers) if (!isShared(buf)) list.push(buf);
+    port.postMessage([bytes, buffers], list);
+  }
+
+  function postError(id, e) {
+    try { post(ERROR, id, e); } catch { post(ERROR, id, plainError(e)); }
+  }
+
+  function receive(data) {
+    if (closed) return;
+    let msg;
+    try {
+      if (!Array.isArray(data) || !(data[0] instanceof Uint8Array)) throw new TypeError("Not a channel message");
+      msg = serializer.deserialize(data[0], { buffers: data[1] });
+      if (!Array.isArray(msg) || typeof msg[0] !== "number") throw new TypeError("Not a channel message");
+    } catch (e) { onError(e); return; }
+    const [kind, id, a, b] = msg;
+    switch (kind) {
+      case CALL: case STREAM: serve(kind, id, a, b); break;
+      case CANCEL: { const ac = running.get(id); if (ac !== undefined) { running.delete(id); ac.abort(new Error("Cancelled by caller")); resume(id, 0); } break; }
+      case PULL: resume(id, a); break;
+      case EVENT: {
+        const set = listeners.get(a);
+        if (set !== undefined) for (const fn of set) { try { fn(...b); } catch (e) { onError(e); } }
+        break;
+      }
+      default: {
+        const p = pending.get(id);
+        if (p === undefined) break; // cancelled on our side
+        if (kind === NEXT) { p.next(a); break; }
+        pending.delete(id);
+        if (kind === RESULT) p.end(a); else p.fail(a);
+      }
+    }
+  }
+
+  // More credit for stream `id` (or none, after a cancel) wakes its handler
+  function resume(id, n) {
+    const f = flows.get(id);
+    if (f === undefined) return;
+    f.credit += n;
+    if (f.wake !== null) { const w = f.wake; f.wake = null; w(); }
+  }
+
+  async function serve(kind, id, name, args) {
+    const fn = handlers.get(name), ac = new AbortController(), { signal } = ac;
+    running.set(id, ac);
+    try {
+      if (fn === undefined) throw new Error(`No handler for "${name}"`);
+      const out = await fn(...args, { signal });
+      if (kind === STREAM) {
+        const f = { credit: WINDOW, wake: null };
+        flows.set(id, f);
+        for await (const v of out) {
+          if (f.credit === 0 && !signal.aborted) await new Promise(r => { f.wake = r; });
+          if (signal.aborted) break;
+          f.credit--;
+          post(NEXT, id, v);
+        }
+      }
+      if (!signal.aborted) {
+        try { post(RESULT, id, kind === STREAM ? undefined : out); } catch (e) { postError(id, e); }
+      }
+    } catch (e) {
+      if (!signal.aborted) postError(id, e);
+    } finally {
+      if (running.get(id) === ac) running.delete(id);
+      flows.delete(id);
+    }
+  }
+
+  // Registers our side of a call; a signal abort drops it and tells the peer
+  function open(kind, method, args, signal, p) {
+    if (closed) throw new Error("Channel closed");
+    signal?.throwIfAborted();
+    const id = nextId++;
+    post(kind, id, method, args);
+    pending.set(id, p);
+    if (signal) {
+      const abort = () => {
+        if (pending.get(id) !== p) return;
+        pending.delete(id);
+        p.fail(signal.reason);
+        if (!closed) post(CANCEL, id);
+      };
+      signal.addEventListener("abort", abort, { once: true });
+      const { end, fail } = p;
+      p.end = v => { signal.removeEventListener("abort", abort); end(v); };
+      p.fail = e => { signal.removeEventListener("abort", abort); fail(e); };
+    }
+    return id;
+  }
+
+  const onMessage = data => receive(data), onEvent = e => receive(e.data);
+  if (typeof port.on === "function") port.on("message", onMessage);
+  else { port.addEventListener("message", onEvent); if (typeof port.start === "function") port.start(); }
+
+  return {
+    // fn(...args, { signal }) answers call() and stream() for `name`;
+    // for streams it returns an (async) iterable
+    handle(name, fn) {
+      if (typeof fn !== "function") throw new TypeError("Handler must be a function");
+      handlers.set(name, fn);
+      return () => { if (handlers.get(name) === fn) handlers.delete(name); };
+    },
+
+    call(method, args = [], { signal } = {}) {
+      return new Promise((resolve, reject) => {
+        open(CALL, method, args, signal, { next() {}, end: resolve, fail: reject });
+      });
+    },
+
+    // Async iterable of the values the handler yields; leaving the loop early
+    // cancels the handler
+    stream(method, args = [], { signal } = {}) {
+      const items = [];
+      let wake = null, done = false, error, failed = false, id = 0, read = 0;
+      const settle = () => { if (wake !== null) { const w = wake; wake = null; w(); } };
+      const p = {
+        next(v) { items.push(v); settle(); },
+        end() { done = true; settle(); },
+        fail(e) { done = failed = true; error = e; settle(); },
+      };
+      try { id = open(STREAM, method, args, signal, p); } catch (e) { p.fail(e); }
+      return {
+        [Symbol.asyncIterator]() { return this; },
+        async next() {
+          while (items.length === 0 && !done) await new Promise(r => { wake = r; });
+          if (items.length !== 0) {
+            if (++read === WINDOW / 2) { read = 0; if (pending.get(id) === p && !closed) post(PULL, id, WINDOW / 2); }
+            return { value: items.shift(), done: false };
+          }
+          if (failed) { failed = false; throw error; }
+          return { value: undefined, done: true };
+        },
+        async return() {
+          if (pending.get(id) === p) {
+            pending.delete(id);
+            p.end();
+            if (!closed) post(CANCEL, id);
+          }
+          done = true; items.length = 0;
+          return { value: undefined, done: true };
+        },
+      };
+    },
+
+    emit(name, ...args) {
+      if (closed) throw new Error("Channel closed");
+      post(EVENT, 0, name, args);
+    },
+
+    on(name, fn) {
+      let set = listeners.get(name);
+      if (set === undefined) listeners.set(name, set = new Set());
+      set.add(fn);
+      return () => { set.delete(fn); };
+    },
+
+    // Stops listening, rejects our pending calls and aborts the handlers
+    // still running; the port itself is left open
+    close() {
+      if (closed) return;
+      closed = true;
+      if (typeof port.off === "function") port.off("message", onMessage);
+      else if (typeof port.removeEventListener === "function") port.removeEventListener("message", onEvent);
+      const err = new Error("Channel closed");
+      for (const p of pending.values()) p.fail(err);
+      pending.clear();
+      for (const ac of running.values()) ac.abort(err);
+      running.clear();
+      for (const id of Array.from(flows.keys())) resume(id, 0);
+    },
+  };
+}
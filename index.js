@@ -1,7 +1,12 @@
 /**
- * TurboSerial v0.4.0 — Performance Optimizations
+ * TurboSerial v0.4.0 — binary serializer, wire format v9
  *
- * Wire-format v7: adds pre-allocation counts header (backward-reads v6).
+ * Wire-format v9: every object, ArrayBuffers included, takes an entry in
+ * one reference table. The flags byte after the version (v8) marks
+ * F_COMPRESSED and F_NO_COUNTS (streamed) messages, a trailing checksum
+ * (F_CRC32 or F_XXH32), an offset index after the body (F_INDEX) and a
+ * string dictionary section after the counts (F_DICT). v7 added the
+ * pre-allocation counts; v6–v8 messages still decode.
  * Optimizations: typed array views, single-pass circular detection,
  * zero-alloc string encoding (encodeInto), direct BigInt byte extraction,
  * constructor equality checks, merged packed array detect/write,
@@ -21,6 +26,39 @@ for (let n = 0; n < 128; n++) {
 // ── Float32 precision scratch ─────────────────────────────────────────
 const _f32 = new Float32Array(1);
 
+// ── NaN payload scratch (canonical mode) ──────────────────────────────
+const _f64 = new Float64Array(1);
+const _f64w = new Uint32Array(_f64.buffer);
+_f64[0] = NaN;
+const NAN_HI = _f64w[0] | _f64w[1]; // host's default quiet NaN: one word is 0
+
+// ── Encoded sizes (packed array selection) ───────────────────────────
+function vLen(v) { let n = 1; for (; v >= 0x80; v = Math.floor(v / 128)) n++; return n; }
+
+function zzLen(v) {
+  const q = v < 0 ? -v - 1 : v;
+  return q < 0x40 ? 1 : q < 0x2000 ? 2 : q < 0x100000 ? 3 : 1 + vLen(Math.floor(q / 64));
+}
+
+// Bytes _wNum writes for v
+function numLen(v) {
+  if (v !== v || v === Infinity || v === -Infinity || (v === 0 && 1 / v < 0)) return 1;
+  if (v === (v | 0)) return v >= -0x80 && v <= 0x7F ? 2 : v >= -0x8000 && v <= 0x7FFF ? 3 : v >= -0x100000 && v < 0x100000 ? 4 : 5;
+  if (v === v >>> 0) return 5;
+  _f32[0] = v;
+  if (_f32[0] === v) return 5;
+  return Number.isInteger(v) && v > -0x1000000000000 && v < 0x1000000000000 ? 1 + zzLen(v) : 9;
+}
+
+// Same number for run-length purposes: NaN equals NaN, -0 differs from 0
+function sameNum(a, b) { return a === b ? a !== 0 || 1 / a === 1 / b : a !== a && b !== b; }
+
+function compareBytes(a, b) {
+  const n = Math.min(a.length, b.length);
+  for (let i = 0; i < n; i++) { if (a[i] !== b[i]) return a[i] - b[i]; }
+  return a.length - b.length;
+}
+
 // ── Well-known symbols ────────────────────────────────────────────────
 const WELLKNOWN_SYMBOLS = new Map();
 const WELLKNOWN_BY_NAME = new Map();
@@ -36,59 +74,96 @@ for (const n of [
 const T = {
   NULL:0x00,UNDEFINED:0x01,FALSE:0x02,TRUE:0x03,
   INT8:0x10,INT16:0x11,INT32:0x12,UINT32:0x13,FLOAT32:0x14,FLOAT64:0x15,
-  NAN:0x16,INFINITY:0x17,NEG_INFINITY:0x18,NEG_ZERO:0x19,VARINT:0x1A,
+  NAN:0x16,INFINITY:0x17,NEG_INFINITY:0x18,NEG_ZERO:0x19,VARINT:0x1A,VARINT_ZIGZAG:0x1B,
   BIGINT_POS_SMALL:0x20,BIGINT_NEG_SMALL:0x21,BIGINT_POS_LARGE:0x22,BIGINT_NEG_LARGE:0x23,
   STRING_EMPTY:0x30,STRING_ASCII_TINY:0x31,STRING_ASCII_SHORT:0x32,STRING_ASCII_LONG:0x33,
   STRING_UTF8_TINY:0x34,STRING_UTF8_SHORT:0x35,STRING_UTF8_LONG:0x36,STRING_REF:0x37,
   ARRAY_EMPTY:0x40,ARRAY_DENSE:0x41,ARRAY_SPARSE:0x42,
   ARRAY_PACKED_I8:0x43,ARRAY_PACKED_I16:0x44,ARRAY_PACKED_I32:0x45,
-  ARRAY_PACKED_F32:0x46,ARRAY_PACKED_F64:0x47,
+  ARRAY_PACKED_F32:0x46,ARRAY_PACKED_F64:0x47,ARRAY_SHAPED:0x48,ARRAY_COLUMNAR:0x49,
+  ARRAY_PACKED_U8:0x4A,ARRAY_PACKED_U16:0x4B,ARRAY_PACKED_U32:0x4C,ARRAY_DELTA:0x4D,ARRAY_RLE:0x4E,ARRAY_BITSET:0x4F,
   OBJECT_EMPTY:0x50,OBJECT_PLAIN:0x51,OBJECT_LITERAL:0x52,
   OBJECT_CONSTRUCTOR:0x53,OBJECT_WITH_DESCRIPTORS:0x54,OBJECT_WITH_METHODS:0x55,
+  OBJECT_REGISTERED:0x56,WITH_PROPS:0x57,
   UINT8ARRAY:0x60,INT8ARRAY:0x61,UINT8CLAMPEDARRAY:0x62,UINT16ARRAY:0x63,
   INT16ARRAY:0x64,UINT32ARRAY:0x65,INT32ARRAY:0x66,FLOAT32ARRAY:0x67,
   FLOAT64ARRAY:0x68,BIGINT64ARRAY:0x69,BIGUINT64ARRAY:0x6A,DATAVIEW:0x6B,
-  ARRAYBUFFER:0x70,BUFFER_REF:0x71,SHAREDARRAYBUFFER:0x72,
+  FLOAT16ARRAY:0x6C,NODE_BUFFER:0x6D,TYPED_SUBCLASS:0x6E,
+  ARRAYBUFFER:0x70,BUFFER_REF:0x71,SHAREDARRAYBUFFER:0x72,BUFFER_OOB:0x73,
   MAP:0x80,SET:0x81,
   DATE:0x90,DATE_INVALID:0x91,
   ERROR:0xA0,EVAL_ERROR:0xA1,RANGE_ERROR:0xA2,REFERENCE_ERROR:0xA3,
-  SYNTAX_ERROR:0xA4,TYPE_ERROR:0xA5,URI_ERROR:0xA6,AGGREGATE_ERROR:0xA7,CUSTOM_ERROR:0xA8,
-  REGEXP:0xB0,
+  SYNTAX_ERROR:0xA4,TYPE_ERROR:0xA5,URI_ERROR:0xA6,AGGREGATE_ERROR:0xA7,CUSTOM_ERROR:0xA8,ERROR_FULL:0xA9,
+  REGEXP:0xB0,BOXED:0xB1,URL:0xB2,URL_SEARCH_PARAMS:0xB3,HEADERS:0xB4,
   BLOB:0xC0,FILE:0xC1,
   REFERENCE:0xD0,CIRCULAR_REF:0xD1,
   SYMBOL:0xE0,SYMBOL_GLOBAL:0xE1,SYMBOL_WELLKNOWN:0xE2,SYMBOL_NO_DESC:0xE3,
-  FUNCTION_PLACEHOLDER:0xF0,
+  FUNCTION_PLACEHOLDER:0xF0,EXTENSION:0xF1,
 };
 
 const GM = 0xF0; // group mask
 
+// Strict mode rejects type bytes outside this set
+const KNOWN_TYPES = new Uint8Array(256);
+for (const k in T) KNOWN_TYPES[T[k]] = 1;
+
 // ── Lookup tables ─────────────────────────────────────────────────────
 const BPE = [];
 const TCTOR = [];
+const PCTOR = []; // packed numeric array type → typed array for packedArraysAs: 'typed'
 {
   const e = [
     [0x60,1,'Uint8Array'],[0x61,1,'Int8Array'],[0x62,1,'Uint8ClampedArray'],
     [0x63,2,'Uint16Array'],[0x64,2,'Int16Array'],[0x65,4,'Uint32Array'],
     [0x66,4,'Int32Array'],[0x67,4,'Float32Array'],[0x68,8,'Float64Array'],
     [0x69,8,'BigInt64Array'],[0x6A,8,'BigUint64Array'],[0x6B,1,'DataView'],
+    [0x6C,2,'Float16Array'],[0x6D,1,null],
     [0x43,1,null],[0x44,2,null],[0x45,4,null],[0x46,4,null],[0x47,8,null],
+    [0x4A,1,null],[0x4B,2,null],[0x4C,4,null],
   ];
   for (const [t,b,name] of e) {
     BPE[t] = b;
     if (name && globalThis[name]) TCTOR[t] = globalThis[name];
   }
+  const p = [[0x43,'Int8Array'],[0x44,'Int16Array'],[0x45,'Int32Array'],[0x46,'Float32Array'],[0x47,'Float64Array'],
+    [0x4A,'Uint8Array'],[0x4B,'Uint16Array'],[0x4C,'Uint32Array'],[0x4D,'Float64Array'],[0x4E,'Float64Array']];
+  for (const [t,name] of p) PCTOR[t] = globalThis[name];
 }
 
 const CTOR_MAP = new Map();
 {
   const pairs = [
     [Date,T.DATE],[RegExp,T.REGEXP],[Map,T.MAP],[Set,T.SET],[ArrayBuffer,T.ARRAYBUFFER],
+    [Number,T.BOXED],[String,T.BOXED],[Boolean,T.BOXED],[BigInt,T.BOXED],[Symbol,T.BOXED],
   ];
   const ta = ['Uint8Array','Int8Array','Uint8ClampedArray','Uint16Array','Int16Array',
-    'Uint32Array','Int32Array','Float32Array','Float64Array','BigInt64Array','BigUint64Array','DataView'];
+    'Uint32Array','Int32Array','Float32Array','Float64Array','BigInt64Array','BigUint64Array','DataView','Float16Array'];
   for (const [c,t] of pairs) CTOR_MAP.set(c,t);
   for (let i = 0; i < ta.length; i++) { const c = globalThis[ta[i]]; if (c) CTOR_MAP.set(c, 0x60+i); }
-  if (globalThis.SharedArrayBuffer) CTOR_MAP.set(SharedArrayBuffer, T.SHAREDARRAYBUFFER);
+  for (const [n,t] of [['SharedArrayBuffer',T.SHAREDARRAYBUFFER],['Buffer',T.NODE_BUFFER],['URL',T.URL],
+    ['URLSearchParams',T.URL_SEARCH_PARAMS],['Headers',T.HEADERS]]) { if (globalThis[n]) CTOR_MAP.set(globalThis[n], t); }
+}
+
+// Element type name of any typed array, subclasses included (undefined for DataView)
+const TA_NAME = Object.getOwnPropertyDescriptor(Object.getPrototypeOf(Uint8Array.prototype), Symbol.toStringTag).get;
+
+// Contents can't be enumerated, so these are refused rather than written empty
+const WEAK_CTORS = [WeakMap, WeakSet, globalThis.WeakRef, globalThis.FinalizationRegistry].filter(Boolean);
+
+// View of `type` over ab: a Buffer for NODE_BUFFER (a Uint8Array outside
+// Node), a Float32Array copy where Float16Array is missing
+function mkView(type, ab, off, len) {
+  const C = TCTOR[type];
+  if (C !== undefined) return new C(ab, off, len);
+  if (type === T.NODE_BUFFER) return globalThis.Buffer ? globalThis.Buffer.from(ab, off, len) : new Uint8Array(ab, off, len);
+  const dv = new DataView(ab, off, len * 2), out = new Float32Array(len);
+  for (let i = 0; i < len; i++) out[i] = f16(dv.getUint16(2 * i, true));
+  return out;
+}
+
+function f16(h) {
+  const e = (h >> 10) & 0x1F, m = h & 0x3FF, s = h & 0x8000 ? -1 : 1;
+  return e === 0 ? s * m * 2 ** -24 : e === 31 ? (m ? NaN : s * Infinity) : s * (1024 + m) * 2 ** (e - 25);
 }
 
 const ERR_CTORS = {
@@ -96,15 +171,303 @@ const ERR_CTORS = {
   [T.REFERENCE_ERROR]:ReferenceError,[T.SYNTAX_ERROR]:SyntaxError,
   [T.TYPE_ERROR]:TypeError,[T.URI_ERROR]:URIError,
 };
-const ERR_NAMES = new Map([
-  ['Error',T.ERROR],['EvalError',T.EVAL_ERROR],['RangeError',T.RANGE_ERROR],
-  ['ReferenceError',T.REFERENCE_ERROR],['SyntaxError',T.SYNTAX_ERROR],
-  ['TypeError',T.TYPE_ERROR],['URIError',T.URI_ERROR],['AggregateError',T.AGGREGATE_ERROR],
-]);
+// ERROR_FULL base: index of the nearest built-in constructor in the prototype chain
+const ERR_BASES = [Error, EvalError, RangeError, ReferenceError, SyntaxError, TypeError, URIError,
+  AggregateError, globalThis.DOMException];
+const ERR_PROTOS = ERR_BASES.map(C => C && C.prototype);
+const EB_AGGREGATE = 7, EB_DOM = 8;
+// ERROR_FULL flags: which optional fields follow
+const EF_TAG = 1, EF_NAME = 2, EF_STACK = 4, EF_CAUSE = 8, EF_ERRORS = 16;
+
+// Own non-enumerable data property, the way error constructors define them
+function hide(obj, k, value) { Object.defineProperty(obj, k, { value, writable: true, enumerable: false, configurable: true }); }
+const isEnum = Object.prototype.propertyIsEnumerable;
+// Strings in order, then symbols as they were (Array#sort() throws on symbols)
+function sortKeys(keys) {
+  const s = keys.filter(k => typeof k === "string").sort();
+  return s.length === keys.length ? s : s.concat(keys.filter(k => typeof k === "symbol"));
+}
+// Key lists of the same shape (null: not a record)
+function sameKeys(ks, keys) {
+  if (ks === null || ks.length !== keys.length) return false;
+  for (let j = 0; j < keys.length; j++) { if (ks[j] !== keys[j]) return false; }
+  return true;
+}
+// Array index keys ("0" … "4294967294"), the part of an array its own encoding covers
+function isIndexKey(k) { return typeof k === "string" && String(k >>> 0) === k && k !== "4294967295"; }
+
+// Explicit-stack frames (past options.iterativeDepth): a container's pending
+// entries, written or read one value at a time (see _wDeep, _rDeep)
+const K_VALS = 0;    // array elements, Set items
+const K_PAIRS = 1;   // property key/value pairs
+const K_ENTRIES = 2; // Map entries
+const K_SPARSE = 3;  // varint index + element
+const K_END = 4;     // writer: leaves the ancestor chain; reader: tags a constructor object
+const K_ROWS = 5;    // shaped array record fields (a: the keys)
+const K_SHAPE = 6;   // writer: one record's keys checked per step before picking the array's form
+const K_FIELDS = 7;  // named non-enumerable fields (a: the keys), an error's cause and errors
+const K_DONE = 8;    // reader: the value that started at x is read through (see LazyReader)
+const NEVER = Number.MAX_VALUE; // `until` of a run that pauses only for streamed chunks
+
+// Runs `step(until)` in slices of opts.budgetMs until it returns true, giving
+// the event loop a turn in between; an aborted opts.signal rejects with its
+// reason. A signal can only fire between slices, so it brings a default budget.
+const nextTask = typeof globalThis.scheduler?.yield === "function"
+  ? () => globalThis.scheduler.yield()
+  : () => new Promise(r => setTimeout(r, 0));
+const SIGNAL_BUDGET_MS = 50;
+async function slices(step, { signal, budgetMs = signal !== undefined ? SIGNAL_BUDGET_MS : Infinity } = {}) {
+  for (;;) {
+    if (signal !== undefined) signal.throwIfAborted();
+    if (step(performance.now() + budgetMs)) return;
+    await nextTask();
+  }
+}
 
 const MAGIC = 0x54425236; // TBR6
+const VERSION = 9;
+// Header: magic(4) + version(1) + flags(1) + refCount(4) + strCount(4) + bufCount(4).
+// v9 keeps every object, ArrayBuffers included, in the ref table (bufCount is 0)
+const HEADER_SIZE = 18;
+// Header flags (v8+)
+const F_COMPRESSED = 0x01; // counts + body replaced by varint rawLen, varint compLen, LZ block
+const F_NO_COUNTS = 0x02;  // streamed: counts omitted, body follows the flags byte
+const F_CRC32 = 0x04;       // CRC-32 of every byte after the magic follows the message
+const F_XXH32 = 0x08;       // same, as xxHash32 (seed 0)
+const F_CHECKSUM = F_CRC32 | F_XXH32;
+const F_INDEX = 0x10;       // offset index section follows the body (see _wIndex)
+const F_DICT = 0x20;        // string dictionary section follows the counts (see _rDict)
+const F_KNOWN = F_COMPRESSED | F_NO_COUNTS | F_CHECKSUM | F_INDEX | F_DICT;
+const DICT_SIZE = 12;       // u32 dictionary id, u32 version encoded against, u32 entries added
+const CHECKSUM_FLAGS = { __proto__: null, crc32: F_CRC32, xxhash32: F_XXH32 };
+// Frames: magic(4) + varint payload length + flags(1) + payload without its magic [+ crc32(4)]
+const FR_CRC32 = 0x01; // CRC-32 of every preceding frame byte follows the payload
+const FR_KNOWN = FR_CRC32;
 const ctorSymbol = Symbol.for('__TurboSerial_Ctor');
 
+// ── LZ block codec ────────────────────────────────────────────────────
+// LZ4 block format: token (literal len << 4 | match len - 4), literals,
+// 16-bit LE offset, length extensions in 255-byte runs. Pure JS, no deps.
+const LZ_MINMATCH = 4, LZ_LASTLITERALS = 5, LZ_MFLIMIT = 12;
+const _lzTable = new Int32Array(1 << 16);
+
+function lzCompress(src) {
+  const n = src.length;
+  const out = new Uint8Array(n + ((n / 255) | 0) + 16);
+  const table = _lzTable;
+  table.fill(0);
+  let ip = 0, anchor = 0, op = 0;
+  const limit = n - LZ_MFLIMIT;
+  while (ip < limit) {
+    const seq = src[ip] | (src[ip+1] << 8) | (src[ip+2] << 16) | (src[ip+3] << 24);
+    const h = Math.imul(seq, 0x9E3779B1) >>> 16;
+    const ref = table[h] - 1; // table stores pos + 1 so 0 means empty
+    table[h] = ip + 1;
+    if (ref < 0 || ip - ref > 0xFFFF || src[ref] !== src[ip] || src[ref+1] !== src[ip+1] ||
+        src[ref+2] !== src[ip+2] || src[ref+3] !== src[ip+3]) { ip++; continue; }
+    let len = LZ_MINMATCH;
+    const maxLen = n - LZ_LASTLITERALS - ip;
+    while (len < maxLen && src[ref+len] === src[ip+len]) len++;
+    // Sequence: token, literal length ext, literals, offset, match length ext
+    const lit = ip - anchor, ml = len - LZ_MINMATCH;
+    const tp = op++;
+    out[tp] = ((lit < 15 ? lit : 15) << 4) | (ml < 15 ? ml : 15);
+    if (lit >= 15) { let r = lit - 15; while (r >= 255) { out[op++] = 255; r -= 255; } out[op++] = r; }
+    for (let i = 0; i < lit; i++) out[op++] = src[anchor + i];
+    const off = ip - ref;
+    out[op++] = off & 0xFF; out[op++] = off >>> 8;
+    if (ml >= 15) { let r = ml - 15; while (r >= 255) { out[op++] = 255; r -= 255; } out[op++] = r; }
+    ip += len; anchor = ip;
+  }
+  const lit = n - anchor;
+  out[op++] = (lit < 15 ? lit : 15) << 4;
+  if (lit >= 15) { let r = lit - 15; while (r >= 255) { out[op++] = 255; r -= 255; } out[op++] = r; }
+  out.set(src.subarray(anchor, n), op);
+  op += lit;
+  return out.subarray(0, op);
+}
+
+// Decodes src[sp, send) into dst[dp, dst.length); returns false on malformed input
+function lzDecompress(src, sp, send, dst, dp) {
+  const dstart = dp, dend = dst.length;
+  while (sp < send) {
+    const token = src[sp++];
+    let lit = token >>> 4;
+    if (lit === 15) { let b; do { if (sp >= send) return false; b = src[sp++]; lit += b; } while (b === 255); }
+    if (sp + lit > send || dp + lit > dend) return false;
+    if (lit > 16) { dst.set(src.subarray(sp, sp + lit), dp); sp += lit; dp += lit; }
+    else { for (let i = 0; i < lit; i++) dst[dp++] = src[sp++]; }
+    if (sp >= send) break; // last sequence carries literals only
+    if (sp + 2 > send) return false;
+    const off = src[sp] | (src[sp+1] << 8); sp += 2;
+    let ml = token & 15;
+    if (ml === 15) { let b; do { if (sp >= send) return false; b = src[sp++]; ml += b; } while (b === 255); }
+    ml += LZ_MINMATCH;
+    let mp = dp - off;
+    if (off === 0 || mp < dstart || dp + ml > dend) return false;
+    for (let i = 0; i < ml; i++) dst[dp++] = dst[mp++]; // byte-wise: matches may overlap
+  }
+  return dp === dend;
+}
+
+// ── CRC-32 ────────────────────────────────────────────────────────────
+// IEEE 802.3 (zlib) polynomial, reflected, table-driven
+const CRC_TABLE = new Int32Array(256);
+for (let i = 0; i < 256; i++) {
+  let c = i;
+  for (let k = 0; k < 8; k++) c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+  CRC_TABLE[i] = c;
+}
+
+function crc32(b, start, end) {
+  let c = -1;
+  for (let i = start; i < end; i++) c = CRC_TABLE[(c ^ b[i]) & 0xFF] ^ (c >>> 8);
+  return ~c >>> 0;
+}
+
+// ── xxHash32 ──────────────────────────────────────────────────────────
+const XXH_P1 = 0x9E3779B1 | 0, XXH_P2 = 0x85EBCA77 | 0, XXH_P3 = 0xC2B2AE3D | 0;
+const XXH_P4 = 0x27D4EB2F | 0, XXH_P5 = 0x165667B1 | 0;
+
+function _xxhRound(acc, b, p) {
+  acc = (acc + Math.imul(b[p] | (b[p+1] << 8) | (b[p+2] << 16) | (b[p+3] << 24), XXH_P2)) | 0;
+  return Math.imul((acc << 13) | (acc >>> 19), XXH_P1);
+}
+
+function xxhash32(b, start, end) {
+  let p = start, h;
+  if (end - start >= 16) {
+    let v1 = (XXH_P1 + XXH_P2) | 0, v2 = XXH_P2, v3 = 0, v4 = -XXH_P1 | 0;
+    for (const limit = end - 16; p <= limit; p += 16) {
+      v1 = _xxhRound(v1, b, p); v2 = _xxhRound(v2, b, p + 4);
+      v3 = _xxhRound(v3, b, p + 8); v4 = _xxhRound(v4, b, p + 12);
+    }
+    h = ((v1 << 1) | (v1 >>> 31)) + ((v2 << 7) | (v2 >>> 25)) + ((v3 << 12) | (v3 >>> 20)) + ((v4 << 18) | (v4 >>> 14));
+  } else h = XXH_P5;
+  h = (h + (end - start)) | 0;
+  for (; p + 4 <= end; p += 4) {
+    h = (h + Math.imul(b[p] | (b[p+1] << 8) | (b[p+2] << 16) | (b[p+3] << 24), XXH_P3)) | 0;
+    h = Math.imul((h << 17) | (h >>> 15), XXH_P4);
+  }
+  for (; p < end; p++) {
+    h = (h + Math.imul(b[p], XXH_P5)) | 0;
+    h = Math.imul((h << 11) | (h >>> 21), XXH_P1);
+  }
+  h = Math.imul(h ^ (h >>> 15), XXH_P2);
+  h = Math.imul(h ^ (h >>> 13), XXH_P3);
+  return (h ^ (h >>> 16)) >>> 0;
+}
+
+// ── Decode errors ─────────────────────────────────────────────────────
+class TurboSerialDecodeError extends Error {
+  constructor(message, offset) {
+    super(`${message} (at byte ${offset})`);
+    this.name = "TurboSerialDecodeError";
+    this.offset = offset;
+  }
+}
+
+// Checksum mismatch, raised before any of the body is parsed
+class TurboSerialIntegrityError extends TurboSerialDecodeError {
+  constructor(algorithm, expected, actual, offset) {
+    super(`${algorithm} checksum mismatch: expected 0x${expected.toString(16)}, got 0x${actual.toString(16)}`, offset);
+    this.name = "TurboSerialIntegrityError";
+    this.algorithm = algorithm;
+    this.expected = expected;
+    this.actual = actual;
+  }
+}
+
+// ── Class registry ────────────────────────────────────────────────────
+// Registered classes are written as OBJECT_REGISTERED with a stable tag
+// and come back as real instances. The shared registry is consulted after
+// the per-instance one.
+const SHARED_CLASSES = { byCtor: new Map(), byTag: new Map() };
+
+function registerClass(reg, Class, opts = {}) {
+  if (typeof Class !== "function" || !Class.prototype) throw new TypeError("register() expects a class");
+  const tag = opts.tag !== undefined ? opts.tag : Class.name;
+  if (typeof tag !== "string" || tag === "") throw new TypeError("register() needs a non-empty string tag");
+  const prev = reg.byTag.get(tag);
+  if (prev && prev.Class !== Class) throw new Error(`Class tag already registered: ${tag}`);
+  const entry = { Class, tag, encode: opts.encode || null, decode: opts.decode || null };
+  reg.byCtor.set(Class, entry);
+  reg.byTag.set(tag, entry);
+  return entry;
+}
+
+// ── Extension types ───────────────────────────────────────────────────
+// App-defined types written as EXTENSION + numeric id, MessagePack-style.
+// encode() may return a Uint8Array (stored raw) or any serializable value.
+const SHARED_EXTENSIONS = { list: [], byId: new Map() };
+
+function registerExtension(reg, id, opts = {}) {
+  if (!Number.isInteger(id) || id < 0 || id > 0x7FFFFFFF) throw new RangeError(`Invalid extension id: ${id}`);
+  if (typeof opts.test !== "function" || typeof opts.encode !== "function" || typeof opts.decode !== "function") {
+    throw new TypeError("registerExtension() needs test, encode and decode functions");
+  }
+  if (reg.byId.has(id)) throw new Error(`Extension id already registered: ${id}`);
+  const entry = { id, test: opts.test, encode: opts.encode, decode: opts.decode };
+  reg.list.push(entry);
+  reg.byId.set(id, entry);
+  return entry;
+}
+
+// ── String dictionaries ───────────────────────────────────────────────
+// A string table shared by an encoder and a decoder across messages.
+// Entries are append-only, so the entry count doubles as the version: a
+// message records the version it was encoded against (all ids below it
+// are implied) and how many of its own strings both sides then append.
+class TurboSerialDictionary {
+  constructor(opts = {}) {
+    if (Array.isArray(opts)) opts = { strings: opts };
+    this.id = dictId(opts.id === undefined ? 0 : opts.id);
+    this.maxEntries = opts.maxEntries || 65536;
+    this.frozen = opts.frozen || false; // pre-agreed table: messages never add entries
+    this.strings = [];
+    this._ids = new Map();
+    if (opts.strings) this.add(opts.strings);
+  }
+
+  get version() { return this.strings.length; }
+
+  // Pre-agreed entries; both peers must add the same strings in the same order
+  add(strings) {
+    for (const s of strings) {
+      if (typeof s !== "string") throw new TypeError(`Dictionary entries must be strings, got ${typeof s}`);
+      if (!this._ids.has(s)) this._ids.set(s, this.strings.length);
+      this.strings.push(s);
+    }
+    return this;
+  }
+
+  // Entries from version `since` on, as a JSON-friendly snapshot for import()
+  export(since = 0) {
+    return { id: this.id, from: since, version: this.strings.length, strings: this.strings.slice(since) };
+  }
+
+  // Appends the entries of a snapshot or delta this side doesn't have yet
+  import(snap) {
+    if (dictId(snap.id) !== this.id) throw new Error(`Dictionary id mismatch: 0x${dictId(snap.id).toString(16)} vs 0x${this.id.toString(16)}`);
+    const from = snap.from || 0, n = this.strings.length;
+    if (from > n) throw new RangeError(`Dictionary delta starts at version ${from}, have ${n}`);
+    const list = snap.strings;
+    for (let i = from; i < n && i - from < list.length; i++) {
+      if (list[i - from] !== this.strings[i]) throw new Error(`Dictionary conflict at entry ${i}`);
+    }
+    return this.add(list.slice(n - from));
+  }
+
+  static from(snap) { return new TurboSerialDictionary({ id: snap.id }).import(snap); }
+}
+
+// Numeric ids are used as is; names are hashed
+function dictId(id) {
+  if (typeof id === "string") { const b = new TextEncoder().encode(id); return crc32(b, 0, b.length); }
+  if (id !== id >>> 0) throw new TypeError(`Dictionary id must be a u32 or a string, got ${id}`);
+  return id;
+}
+
 // ── TurboSerial ───────────────────────────────────────────────────────
 class TurboSerial {
   constructor(options = {}) {
@@ -118,120 +481,722 @@ class TurboSerial {
       serializeFunctions: options.serializeFunctions || false,
       preservePropertyDescriptors: options.preservePropertyDescriptors !== false,
       sortKeys: options.sortKeys || false,
+      stripStack: options.stripStack || false,
+      symbolKeys: options.symbolKeys || false,
+      includeNonEnumerable: options.includeNonEnumerable || false,
+      canonical: options.canonical || false,
       memoryPoolSize: options.memoryPoolSize || 65536,
+      compressionThreshold: options.compressionThreshold || 1024,
+      checksum: options.checksum || false,
+      zeroCopy: options.zeroCopy || false,
+      index: options.index || false,
+      indexThreshold: options.indexThreshold || 64,
+      shapes: options.shapes || options.columnar || false,
+      columnar: options.columnar || false,
+      packedArraysAs: options.packedArraysAs || "array",
+      iterativeDepth: options.iterativeDepth || 256,
+      // Hardened decoding for untrusted input
+      strict: options.strict || false,
+      maxDepth: options.maxDepth || 1000,
+      maxBytes: options.maxBytes || Infinity,
+      maxArrayLength: options.maxArrayLength || Infinity,
+      maxStringLength: options.maxStringLength || Infinity,
+      maxRefs: options.maxRefs || Infinity,
+      verifyRefs: options.verifyRefs || false,
       ...options
     };
     if (!this.options.allowFunction) this.options.serializeFunctions = false;
+    if (this.options.canonical) {
+      // Canonical form fixes every encoder choice that isn't a function of the value
+      Object.assign(this.options, {
+        deduplication: false, detectCircular: true, shareArrayBuffers: true, simdOptimization: true,
+        preservePropertyDescriptors: true, allowFunction: false, serializeFunctions: false, sortKeys: true,
+        shapes: false, columnar: false,
+      });
+    }
+
+    const cs = this.options.checksum;
+    if (cs && !CHECKSUM_FLAGS[cs]) throw new TypeError(`Unknown checksum: ${cs} (expected 'crc32' or 'xxhash32')`);
+    this._checksumFlag = cs ? CHECKSUM_FLAGS[cs] : 0;
+    const pa = this.options.packedArraysAs;
+    if (pa !== "array" && pa !== "typed") throw new TypeError(`Unknown packedArraysAs: ${pa} (expected 'array' or 'typed')`);
+    this._packedTyped = pa === "typed";
+    // Padding depends on position, so canonical output never carries it
+    this._zcPad = !!this.options.zeroCopy && !this.options.canonical;
+    // Containers may carry properties beyond Object.keys()
+    this._extraKeys = !!(this.options.symbolKeys || this.options.includeNonEnumerable);
+    // Offset index being collected by serialize() (index: true), else null
+    this._ix = null;
+    this._projector = null; // reader for deserialize(bytes, { select }), created on first use
+    const dict = this.options.dictionary;
+    this.dictionary = dict === true ? new TurboSerialDictionary() : dict || null;
+    if (this.dictionary !== null && !(this.dictionary instanceof TurboSerialDictionary)) {
+      throw new TypeError("dictionary must be a TurboSerialDictionary or true");
+    }
+    if (this.dictionary !== null && this.options.canonical) throw new TypeError("Canonical encoding can't use a string dictionary");
+    this._strBase = 0;  // first message-local string id (dictionary version when encoding)
+    this._dictBase = 0; // dictionary section of the message being decoded
+    this._dictAdd = 0;
+    this._blobs = null; // serializeAsync(): offset, Blob pairs of contents still to copy in
 
     const sz = Math.max(this.options.memoryPoolSize, 65536);
-    this.buf = new Uint8Array(sz);
-    this.dv = new DataView(this.buf.buffer);
-    this.f64 = new Float64Array(this.buf.buffer);
-    this.f32 = new Float32Array(this.buf.buffer);
-    this.i32 = new Int32Array(this.buf.buffer);
-    this.i16 = new Int16Array(this.buf.buffer);
+    this._setBuf(new Uint8Array(sz));
     this.pos = 0;
     this.enc = new TextEncoder();
     this.dec = new TextDecoder();
+    this.classes = { byCtor: new Map(), byTag: new Map() };
+    this.extensions = { list: [], byId: new Map() };
     // Serialize tracking
     this.refs = new Map();
     this.ancestors = new WeakSet();
     this.strings = new Map();
-    this.buffers = new Map();
+    this._nRef = 0; // ref ids handed out, registered or not: the reader counts every object
+    // opts.buffers of the running serialize()/deserialize(): buffers kept out of the message
+    this._oob = null;
+    this._oobIds = null; // buffer → slot while encoding
+    // Nesting past iterativeDepth continues on an explicit stack (see _wDeep, _rDeep)
+    this._deepAt = this.options.iterativeDepth;
+    this._wNest = 0;
+    this._rNest = 0;
+    this._deepStack = null;
+    this._deepQ = null;    // frames queued by the container in _defer
+    this._defer = null;
+    this._deferVal = null; // entry the running stack is writing
+    this._deferAt = -1;    // offset of the entry the running stack is reading
     // Deserialize state
     this.deserializeRefs = null;
     this.deserializeStrings = null;
     this.deserializeBuffers = null;
+    this._v9 = false; // message keeps buffers in the ref table
+    this._zc = null;  // zero-copy stand-in for a registered buffer → its ref id
+    this._hooked = null; // blank instances of hooked classes → reached from their payload
     this.buffer = null;
     this.view = null;
+    this._strict = !!this.options.strict;
+    this._depth = 0;
+    this._end = 0;
+    // Streaming encoder state
+    this._sink = null;
+    this._chunkSize = 0;
+    this._flushed = 0;
+    this._full = false; // serializeToStream: a chunk waits to be read
+  }
+
+  _setBuf(nb) {
+    this.buf = nb;
+    this.dv = new DataView(nb.buffer);
+    this.f64 = new Float64Array(nb.buffer);
+    this.f32 = new Float32Array(nb.buffer);
+    this.i32 = new Int32Array(nb.buffer);
+    this.i16 = new Int16Array(nb.buffer);
   }
 
   // ── Ensure capacity (grows buffer if needed) ──────────────────────
   _grow(need) {
     const req = this.pos + need;
     if (req <= this.buf.length) return;
+    // Streaming: hand off the filled chunk instead of growing
+    if (this._sink !== null) { this._flush(); if (need <= this.buf.length) return; }
     let ns = this.buf.length;
-    while (ns < req) ns = ns << 1;
+    while (ns < this.pos + need) ns = ns << 1;
     const nb = new Uint8Array(ns);
     nb.set(this.buf.subarray(0, this.pos));
-    this.buf = nb;
-    this.dv = new DataView(nb.buffer);
-    this.f64 = new Float64Array(nb.buffer);
-    this.f32 = new Float32Array(nb.buffer);
-    this.i32 = new Int32Array(nb.buffer);
-    this.i16 = new Int16Array(nb.buffer);
+    this._setBuf(nb);
+  }
+
+  _flush() {
+    if (this.pos > 0) {
+      const chunk = this.buf.slice(0, this.pos);
+      this._flushed += this.pos;
+      this.pos = 0;
+      this._sink(chunk);
+    }
+    // A single oversized write may have grown the buffer; go back to chunk size
+    if (this.buf.length > this._chunkSize) this._setBuf(new Uint8Array(this._chunkSize));
+  }
+
+  // Raw byte copy; while streaming, large sources are split across chunks
+  _wBytes(src) {
+    const n = src.length;
+    if (this._sink === null) { this._grow(n); this.buf.set(src, this.pos); this.pos += n; return; }
+    for (let off = 0; off < n;) {
+      if (this.pos === this.buf.length) this._flush();
+      const k = Math.min(n - off, this.buf.length - this.pos);
+      this.buf.set(src.subarray(off, off + k), this.pos);
+      this.pos += k; off += k;
+    }
   }
 
   // ── Public API ────────────────────────────────────────────────────
 
-  serialize(value) {
+  // Register a class on this instance: register(Class, { tag, encode?, decode? })
+  register(Class, opts) { registerClass(this.classes, Class, opts); return this; }
+
+  // Register a class for every TurboSerial instance
+  static register(Class, opts) { registerClass(SHARED_CLASSES, Class, opts); return TurboSerial; }
+
+  // Register an extension type on this instance: registerExtension(id, { test, encode, decode })
+  registerExtension(id, opts) { registerExtension(this.extensions, id, opts); return this; }
+
+  // Register an extension type for every TurboSerial instance
+  static registerExtension(id, opts) { registerExtension(SHARED_EXTENSIONS, id, opts); return TurboSerial; }
+
+  _extensionFor(value) {
+    for (const l of [this.extensions.list, SHARED_EXTENSIONS.list]) {
+      for (let i = 0; i < l.length; i++) { if (l[i].test(value)) return l[i]; }
+    }
+    return undefined;
+  }
+
+  _classFor(ctor) { return this.classes.byCtor.get(ctor) || SHARED_CLASSES.byCtor.get(ctor); }
+  _classForTag(tag) { return this.classes.byTag.get(tag) || SHARED_CLASSES.byTag.get(tag); }
+
+  // Value body without header — what canonical mode sorts by
+  _bodyBytes(value) {
     this.resetState();
-    // Header: magic(4) + version(1) + refCount(4) + strCount(4) + bufCount(4) = 17 bytes
-    this._grow(17);
-    this.dv.setUint32(0, MAGIC, true);
-    this.buf[4] = 7; // Version 7: includes pre-allocation counts
-    this.pos = 17; // Skip past count placeholders
     this.writeValue(value);
-    // Patch counts into header now that we know them
-    this.dv.setUint32(5, this.refs.size, true);
-    this.dv.setUint32(9, this.strings.size, true);
-    this.dv.setUint32(13, this.buffers.size, true);
     return this.buf.slice(0, this.pos);
   }
 
-  deserialize(input) {
-    this.buffer = (input.constructor === Uint8Array) ? input : new Uint8Array(input);
+  // ── Canonical ordering ────────────────────────────────────────────
+
+  // Sort by each entry's standalone encoding, bytewise. Distinct entries
+  // with identical encodings have no canonical order and are rejected.
+  _canonSort(items, keyOf) {
+    if (items.length < 2) return items;
+    let sc = this._canonScratch;
+    if (!sc) {
+      sc = this._canonScratch = new TurboSerial(this.options);
+      sc.classes = this.classes;
+      sc.extensions = this.extensions;
+    }
+    const enc = items.map(it => ({ it, b: sc._bodyBytes(keyOf(it)) }));
+    enc.sort((x, y) => compareBytes(x.b, y.b));
+    for (let i = 1; i < enc.length; i++) {
+      if (compareBytes(enc[i - 1].b, enc[i].b) === 0) throw new TypeError("Cannot canonicalize: distinct entries encode identically");
+    }
+    return enc.map(e => e.it);
+  }
+
+  _canonReject(what) { throw new TypeError(`Cannot canonicalize ${what}`); }
+
+  serialize(value, opts) {
+    this._open(opts);
+    this.writeValue(value);
+    return this._close();
+  }
+
+  // Header (counts are patched in by _close), dictionary section, index
+  // collection; opts.buffers (emptied first) receives out-of-band buffers
+  _open(opts) {
+    this.resetState();
+    if (opts !== undefined && opts.buffers) {
+      if (this.options.canonical) throw new TypeError("Canonical encoding can't keep buffers out of band");
+      this._oob = opts.buffers;
+      this._oob.length = 0;
+      this._oobIds = new Map();
+    }
+    this._grow(HEADER_SIZE);
+    this.dv.setUint32(0, MAGIC, true);
+    this.buf[4] = VERSION;
+    const d = this.dictionary;
+    this.buf[5] = this._checksumFlag | (this.options.index ? F_INDEX : 0) | (d !== null ? F_DICT : 0); // flags
+    this.pos = HEADER_SIZE; // Skip past count placeholders
+    if (d !== null) { this._grow(DICT_SIZE); this._wDict(0); }
+    if (this.options.index) this._ix = { refs: [], strs: [], bufs: [], boxes: [] };
+  }
+
+  _close() {
+    const add = this._seal(), out = this._pack();
+    if (add !== 0) this.dictionary.add(Array.from(this.strings.keys()).slice(0, add));
+    return out;
+  }
+
+  // Counts, dictionary entries added (returned) and index section
+  _seal() {
+    const d = this.dictionary;
+    // Patch counts into header now that we know them
+    this.dv.setUint32(6, this._nRef, true);
+    this.dv.setUint32(10, this.strings.size, true);
+    this.dv.setUint32(14, 0, true);
+    // The first strings new to the dictionary become entries on both sides
+    const add = d === null || d.frozen ? 0 : Math.max(0, Math.min(this.strings.size, d.maxEntries - this._strBase));
+    if (add !== 0) this.dv.setUint32(HEADER_SIZE + 8, add, true);
+    if (this._ix !== null) { this._wIndex(this._ix); this._ix = null; }
+    return add;
+  }
+
+  // The finished message: compressed and checksummed as configured
+  _pack() {
+    let start = 0;
+    if (this.options.compression && this.pos >= this.options.compressionThreshold) start = this._deflate();
+    if (this._checksumFlag !== 0) this._wChecksum(start);
+    return this.buf.slice(start, this.pos);
+  }
+
+  // ── Async (Blob / File, time slicing) ─────────────────────────────
+
+  // Captures Blob/File contents: the encoder leaves room for each Blob's
+  // bytes (its size is known up front), then the contents are read in
+  // parallel and copied into place before the message is compressed and
+  // checksummed. With budgetMs or signal the encoding runs in slices on a
+  // private encoder (see _slicer), same bytes as serialize().
+  async serializeAsync(value, opts) {
+    const sliced = opts !== undefined && (opts.budgetMs !== undefined || opts.signal !== undefined);
+    let enc = sliced ? this._slicer() : this, add;
+    const blobs = enc._blobs = [];
+    try {
+      enc._open(opts);
+      if (sliced) await enc._sliceWrite(value, opts); else enc.writeValue(value);
+      add = enc._seal();
+    } finally {
+      enc._blobs = null;
+    }
+    const learn = add !== 0 ? Array.from(enc.strings.keys()).slice(0, add) : null;
+    if (blobs.length !== 0) {
+      if (!sliced) {
+        // Free this instance while the contents are read
+        const w = this._slicer(), nb = new Uint8Array((enc.pos + 7) & ~7); // whole f64 words
+        nb.set(enc.buf.subarray(0, enc.pos));
+        w._setBuf(nb);
+        w.pos = enc.pos;
+        enc = w;
+      }
+      const reads = new Map();
+      for (let i = 1; i < blobs.length; i += 2) {
+        if (!reads.has(blobs[i])) reads.set(blobs[i], blobs[i].arrayBuffer());
+      }
+      for (const [b, p] of reads) reads.set(b, new Uint8Array(await p));
+      if (sliced && opts.signal !== undefined) opts.signal.throwIfAborted();
+      for (let i = 0; i < blobs.length; i += 2) {
+        const data = reads.get(blobs[i + 1]);
+        if (data.length !== blobs[i + 1].size) throw new RangeError("Blob size changed while it was read");
+        enc.buf.set(data, blobs[i]);
+      }
+    }
+    const out = enc._pack();
+    if (learn !== null) this.dictionary.add(learn);
+    return out;
+  }
+
+  // Blobs decode synchronously; this also takes the message itself as a Blob.
+  // budgetMs / signal slice the decode like serializeAsync(); a select runs in one go.
+  async deserializeAsync(input, opts) {
+    if (typeof Blob !== "undefined" && input instanceof Blob) input = new Uint8Array(await input.arrayBuffer());
+    if (opts === undefined || opts.select || (opts.budgetMs === undefined && opts.signal === undefined)) return this.deserialize(input, opts);
+    return this._slicer()._sliceRead(input, opts);
+  }
+
+  // Encoder/decoder for one time-sliced call. Every container goes through
+  // the explicit stack, whose outermost loop can stop between entries, and
+  // the state it leaves in between never touches this instance.
+  _slicer() {
+    const w = new TurboSerial(this.options);
+    w.classes = this.classes;
+    w.extensions = this.extensions;
+    w.dictionary = this.dictionary;
+    w._deepAt = 0;
+    return w;
+  }
+
+  async _sliceWrite(value, opts) {
+    const stack = [{ t: K_VALS, o: null, a: [value], n: 1, i: 0, x: null, c: false, d: 0 }];
+    await slices(until => { this._deepStack = stack; return this._wRun(stack, until); }, opts);
+  }
+
+  async _sliceRead(input, opts) {
+    this._oob = opts.buffers || null;
+    this._begin(input);
+    const root = [], stack = [{ t: K_VALS, o: root, a: null, n: 1, i: 0, x: 0, c: false, d: 0 }];
+    try {
+      await slices(until => { this._deepStack = stack; return this._rRun(stack, until); }, opts);
+    } catch (e) {
+      throw this._strict && (opts.signal === undefined || e !== opts.signal.reason) ? this._forged(e) : e;
+    }
+    if (this._strict && this.pos !== this._end) this._fail("Trailing data after value");
+    if (this.options.verifyRefs) this._verifyCounts();
+    if (this._dictAdd !== 0) this._learnDict(this.deserializeStrings);
+    return root[0];
+  }
+
+  // Dictionary section at pos: id, the version string ids start from, entries added
+  _wDict(add) {
+    const d = this.dictionary, p = this.pos;
+    this._strBase = d.strings.length;
+    this.dv.setUint32(p, d.id, true);
+    this.dv.setUint32(p + 4, this._strBase, true);
+    this.dv.setUint32(p + 8, add, true);
+    this.pos = p + DICT_SIZE;
+  }
+
+  // Index section: padded 5-byte varint N (bytes that follow), then the
+  // offsets of every ref and string table entry in table order, the ref ids
+  // of buffers registered by their view (at the view's offset) and the
+  // element/key offsets of large containers (all delta-coded varints), then
+  // u32 LE body end. Offsets count from the message start.
+  _wIndex(ix) {
+    const be = this.pos;
+    this._grow(5);
+    this.pos += 5;
+    for (const list of [ix.refs, ix.strs, ix.bufs]) {
+      this._grow(5); this._wV(list.length);
+      for (let i = 0, prev = 0; i < list.length; i++) { this._grow(5); this._wV(list[i] - prev); prev = list[i]; }
+    }
+    const boxes = ix.boxes.sort((a, b) => a[0] - b[0]);
+    this._grow(5); this._wV(boxes.length);
+    for (let i = 0, prev = 0; i < boxes.length; i++) {
+      const [at, offs] = boxes[i];
+      this._grow(10); this._wV(at - prev); this._wV(offs.length); prev = at;
+      for (let j = 0, q = at; j < offs.length; j++) { this._grow(5); this._wV(offs[j] - q); q = offs[j]; }
+    }
+    this._grow(4);
+    this.dv.setUint32(this.pos, be, true);
+    this.pos += 4;
+    let n = this.pos - be - 5;
+    for (let i = 0; i < 4; i++, n = Math.floor(n / 128)) this.buf[be + i] = (n % 128) | 0x80;
+    this.buf[be + 4] = n;
+  }
+
+  // Appends the checksum of the message at `start`, covering everything after its magic
+  _wChecksum(start) {
+    this._grow(4);
+    const h = this._checksumFlag === F_CRC32 ? crc32(this.buf, start + 4, this.pos) : xxhash32(this.buf, start + 4, this.pos);
+    this.dv.setUint32(this.pos, h, true);
+    this.pos += 4;
+  }
+
+  // ── Random access ─────────────────────────────────────────────────
+
+  // Cursor over an indexed message (index: true); other messages are
+  // decoded up front and navigated in memory
+  open(input) {
+    const doc = new LazyReader(this);
+    if (doc.load(input)) return new TurboSerialCursor(doc, doc._rootPos);
+    return new TurboSerialCursor(null, -1, this.deserialize(input));
+  }
+
+  static open(input, opts) { return new TurboSerial(opts).open(input); }
+
+  // ── Framing ───────────────────────────────────────────────────────
+
+  // One self-delimiting frame for byte-stream transports (see FrameReader).
+  // The payload's own magic leads the frame, so the reader can resync on it.
+  encodeFrame(value, opts = {}) {
+    const msg = this.serialize(value);
+    const n = msg.length - 4, flags = opts.checksum ? FR_CRC32 : 0;
+    let vl = 1;
+    for (let v = n; v >= 0x80; v = Math.floor(v / 128)) vl++;
+    const body = 4 + vl + 1, out = new Uint8Array(body + n + (flags & FR_CRC32 ? 4 : 0));
+    out.set(msg.subarray(0, 4));
+    let p = 4, v = n;
+    for (; v >= 0x80; v = Math.floor(v / 128)) out[p++] = (v % 128) | 0x80;
+    out[p] = v;
+    out[body - 1] = flags;
+    out.set(msg.subarray(4), body);
+    if (flags & FR_CRC32) new DataView(out.buffer).setUint32(body + n, crc32(out, 0, body + n), true);
+    return out;
+  }
+
+  // ── Streaming ─────────────────────────────────────────────────────
+
+  // Synchronous streaming: onChunk(Uint8Array) receives each chunk as soon
+  // as it fills, so a synchronous sink keeps memory at about one chunk.
+  // Streamed messages omit the header counts (F_NO_COUNTS) and are never
+  // compressed. Returns the total byte length.
+  serializeChunks(value, onChunk, opts = {}) {
+    const saved = this.buf;
+    try {
+      this._openStream(onChunk, opts);
+      this.writeValue(value);
+      this._flush();
+      return this._flushed;
+    } finally {
+      this._sink = null;
+      this._setBuf(saved);
+      this.pos = 0;
+    }
+  }
+
+  // Chunk buffer and header of a streamed message
+  _openStream(sink, opts) {
+    this._chunkSize = (Math.max(opts.chunkSize || 65536, 64) + 7) & ~7; // whole f64 words
+    this._setBuf(new Uint8Array(this._chunkSize));
+    this._sink = sink;
+    this._flushed = 0;
+    this.resetState();
+    this.dv.setUint32(0, MAGIC, true);
+    this.buf[4] = VERSION;
+    this.buf[5] = F_NO_COUNTS | (this.dictionary !== null ? F_DICT : 0);
+    this.pos = 6;
+    // The header is gone by the time all strings are known, so streams add no entries
+    if (this.dictionary !== null) this._wDict(0);
+  }
+
+  // Async iterable of Uint8Array chunks, encoded on demand: a private encoder
+  // (see _slicer) walks the value on the explicit stack and pauses as soon
+  // as a chunk fills, until that chunk is read. Memory stays around one
+  // chunk, plus whatever a single entry writes at once (a large string,
+  // a buffer body, a columnar array).
+  async *serializeToStream(value, opts = {}) {
+    const w = this._slicer(), held = [];
+    w._openStream(c => { held.push(c); w._full = true; }, opts);
+    const stack = [{ t: K_VALS, o: null, a: [value], n: 1, i: 0, x: null, c: false, d: 0 }];
+    for (let done = false; !done;) {
+      w._full = false;
+      w._deepStack = stack;
+      done = w._wRun(stack, NEVER);
+      if (done) w._flush();
+      while (held.length !== 0) yield held.shift();
+    }
+  }
+
+  // WHATWG ReadableStream of Uint8Array chunks
+  serializeToReadableStream(value, opts = {}) {
+    const it = this.serializeToStream(value, opts);
+    return new ReadableStream({
+      async pull(controller) {
+        const { value: chunk, done } = await it.next();
+        if (done) controller.close(); else controller.enqueue(chunk);
+      },
+      cancel() { return it.return(); }
+    });
+  }
+
+  // Compresses counts + body; the compressed message is assembled past
+  // the raw one in the same buffer. Returns its start (0 when it doesn't pay off).
+  _deflate() {
+    const end = this.pos;
+    const comp = lzCompress(this.buf.subarray(6, end));
+    if (comp.length + 10 >= end - 6) return 0;
+    this._grow(comp.length + 16);
+    const start = this.pos;
+    this.buf.copyWithin(start, 0, 6);
+    this.buf[start + 5] |= F_COMPRESSED;
+    this.pos = start + 6;
+    this._wV(end - 6);
+    this._wV(comp.length);
+    this.buf.set(comp, this.pos);
+    this.pos += comp.length;
+    return start;
+  }
+
+  // opts.buffers: the out-of-band buffers serialize() handed out for the message
+  deserialize(input, opts) {
+    const oob = opts !== undefined && opts.buffers || null;
+    if (opts !== undefined && opts.select) {
+      const p = this._projector || (this._projector = new Projector(this));
+      p._oob = oob;
+      return p.run(input, opts.select);
+    }
+    this._oob = oob;
+    this._begin(input);
+    const value = this._root(this.readValue);
+    if (this.options.verifyRefs) this._verifyCounts();
+    if (this._dictAdd !== 0) this._learnDict(this.deserializeStrings);
+    return value;
+  }
+
+  // verifyRefs: every table must have been filled exactly to its header
+  // count (v7+ messages that carry counts), so writer and reader agree on ids
+  _verifyCounts() {
+    if (this._drIdx < 0) return;
+    const at = this.buffer[4] === 7 ? 5 : 6, base = this._dictBase;
+    const check = (what, declared, n, off) => {
+      if (n !== declared) throw new TurboSerialDecodeError(`Header declares ${declared} ${what} entries, decoding registered ${n}`, off);
+    };
+    check("ref", this.deserializeRefs.length, this._drIdx, at);
+    check("string", this.deserializeStrings.length - base, this._dsIdx - base, at + 4);
+    check("buffer", this.deserializeBuffers.length, this._dbIdx, at + 8);
+  }
+
+  // Reads the root value with `read`; strict mode also wraps constructor
+  // errors from forged payloads and rejects trailing data
+  _root(read) {
+    if (!this._strict) return read.call(this);
+    let value;
+    try { value = read.call(this); }
+    catch (e) { throw this._forged(e); }
+    if (this.pos !== this._end) this._fail("Trailing data after value");
+    return value;
+  }
+
+  // Constructor errors from forged payloads (bad RegExp flags, descriptor shapes, …)
+  _forged(e) {
+    if (e instanceof TurboSerialDecodeError) return e;
+    const err = new TurboSerialDecodeError(e.message, this.pos);
+    err.cause = e;
+    return err;
+  }
+
+  // Header, checksum, decompression and tables; leaves pos at the root value
+  // and _end at the end of the body. Returns the v8+ flags (0 for v6/v7).
+  _begin(input) {
+    // Views (Buffer, DataView, …) are re-wrapped, not copied, so zeroCopy can alias them
+    this.buffer = (input.constructor === Uint8Array) ? input
+      : ArrayBuffer.isView(input) ? new Uint8Array(input.buffer, input.byteOffset, input.byteLength) : new Uint8Array(input);
     this.view = new DataView(this.buffer.buffer, this.buffer.byteOffset, this.buffer.byteLength);
     this.pos = 0;
+    this._end = this.buffer.length;
+    this._depth = this._rNest = 0;
+    this._dictBase = this._dictAdd = 0;
+    this._zc = this._hooked = null;
+    this._deepStack = this._defer = null;
+    this._deferAt = -1;
+    if (this._strict) {
+      if (this._end > this.options.maxBytes) this._fail(`Input of ${this._end} bytes exceeds maxBytes`);
+      this._need(5);
+    }
     const magic = this.view.getUint32(0, true);
-    if (magic !== MAGIC) throw new Error("Invalid TurboSerial data");
+    if (magic !== MAGIC) throw new TurboSerialDecodeError("Invalid TurboSerial data", 0);
     const version = this.buffer[4];
+    this._v9 = version === 9;
+    if (version === 8 || version === 9) {
+      if (this._strict) this._need(6);
+      const flags = this.buffer[5];
+      if (flags & ~F_KNOWN || (flags & F_CHECKSUM) === F_CHECKSUM) {
+        throw new TurboSerialDecodeError(`Unsupported flags: 0x${flags.toString(16)}`, 5);
+      }
+      if (flags & F_CHECKSUM) this._verifyChecksum(flags);
+      this.pos = 6;
+      if (flags & F_COMPRESSED) this._inflate();
+      if (flags & F_INDEX) {
+        // Trailing u32 holds the body end, where the index section starts
+        if (this._strict) this._need(4 + (flags & F_NO_COUNTS ? 0 : 12));
+        this._ixEnd = this._end;
+        const be = this.view.getUint32(this._end - 4, true);
+        if (be > this._end - 5) throw new TurboSerialDecodeError("Bad index offset", this._end - 4);
+        this._end = be;
+      }
+      if (flags & F_NO_COUNTS) this._pushMode();
+      else this._rCounts();
+      if (flags & F_DICT) this._rDict();
+      return flags;
+    }
     if (version === 7) {
-      // Opt 10: Pre-allocate arrays from header counts
-      const refCount = this.view.getUint32(5, true);
-      const strCount = this.view.getUint32(9, true);
-      const bufCount = this.view.getUint32(13, true);
-      this.deserializeRefs = new Array(refCount);
-      this.deserializeStrings = new Array(strCount);
-      this.deserializeBuffers = new Array(bufCount);
-      this._drIdx = 0;
-      this._dsIdx = 0;
-      this._dbIdx = 0;
-      this.pos = 17;
+      this.pos = 5;
+      this._rCounts();
     } else if (version === 6) {
       // Backward-compatible with v6 format
-      this.deserializeRefs = [];
-      this.deserializeStrings = [];
-      this.deserializeBuffers = [];
-      this._drIdx = -1; // sentinel: use push() mode
+      this._pushMode();
       this.pos = 5;
     } else {
-      throw new Error(`Unsupported version: ${version}`);
+      throw new TurboSerialDecodeError(`Unsupported version: ${version}`, 4);
+    }
+    return 0;
+  }
+
+  // Checks the trailing checksum and drops it from the input
+  _verifyChecksum(flags) {
+    const end = this._end - 4;
+    if (end < 6) throw new TurboSerialDecodeError("Message too short for its checksum", this._end);
+    const crc = flags & F_CRC32;
+    const actual = crc ? crc32(this.buffer, 4, end) : xxhash32(this.buffer, 4, end);
+    const expected = this.view.getUint32(end, true);
+    if (actual !== expected) throw new TurboSerialIntegrityError(crc ? "crc32" : "xxhash32", expected, actual, end);
+    this._end = end;
+  }
+
+  // Opt 10: Pre-allocate arrays from header counts
+  _rCounts() {
+    const p = this.pos;
+    if (this._strict) this._need(12);
+    const refCount = this.view.getUint32(p, true);
+    const strCount = this.view.getUint32(p + 4, true);
+    const bufCount = this.view.getUint32(p + 8, true);
+    // Every entry takes at least one byte, so counts above the input size are forged
+    if (this._strict && (refCount > this.options.maxRefs || Math.max(refCount, strCount, bufCount) > this._end)) {
+      this._fail("Header counts exceed limits");
+    }
+    this.deserializeRefs = new Array(refCount);
+    this.deserializeStrings = new Array(strCount);
+    this.deserializeBuffers = new Array(bufCount);
+    this._drIdx = 0;
+    this._dsIdx = 0;
+    this._dbIdx = 0;
+    this.pos = p + 12;
+  }
+
+  // Dictionary section: the string table starts with the first `version`
+  // entries of this side's dictionary
+  _rDict() {
+    if (this._strict) this._need(DICT_SIZE);
+    const p = this.pos, id = this.view.getUint32(p, true), base = this.view.getUint32(p + 4, true);
+    const d = this.dictionary;
+    if (d === null) throw new TurboSerialDecodeError(`Message needs string dictionary 0x${id.toString(16)} (version ${base})`, p);
+    if (id !== d.id) throw new TurboSerialDecodeError(`String dictionary mismatch: message uses 0x${id.toString(16)}, have 0x${d.id.toString(16)}`, p);
+    if (base > d.strings.length) throw new TurboSerialDecodeError(`String dictionary out of sync: message needs version ${base}, have ${d.strings.length}`, p + 4);
+    const t = d.strings.slice(0, base);
+    if (this._dsIdx >= 0) { t.length = base + this.deserializeStrings.length; this._dsIdx = base; }
+    this.deserializeStrings = t;
+    this._dictBase = base;
+    this._dictAdd = this.view.getUint32(p + 8, true);
+    this.pos = p + DICT_SIZE;
+  }
+
+  // After a successful decode: appends the message's new entries, unless
+  // this side has moved past the version it was encoded against
+  _learnDict(table) {
+    const d = this.dictionary, base = this._dictBase, n = this._dictAdd;
+    if (n === 0 || base !== d.strings.length) return;
+    if (base + n > table.length) throw new TurboSerialDecodeError("Dictionary entries exceed the string table", 5);
+    const add = table.slice(base, base + n);
+    for (let i = 0; i < n; i++) {
+      if (typeof add[i] !== "string") throw new TurboSerialDecodeError(`Dictionary entry ${base + i} is not a string`, 5);
     }
-    return this.readValue();
+    d.add(add);
+  }
+
+  // No header counts (v6, streamed v8): tables grow by push()
+  _pushMode() {
+    this.deserializeRefs = [];
+    this.deserializeStrings = [];
+    this.deserializeBuffers = [];
+    this._drIdx = -1; // sentinel: use push() mode
+    this._dsIdx = -1;
+    this._dbIdx = -1;
+  }
+
+  // Swaps the input for its decompressed form, keeping the 6-byte
+  // preamble so offsets match the uncompressed layout
+  _inflate() {
+    const rawLen = this._rV(), compLen = this._rV();
+    if (this._strict) {
+      if (6 + rawLen > this.options.maxBytes) this._fail(`Decompressed size ${rawLen} exceeds maxBytes`);
+      this._need(compLen);
+      if (this.pos + compLen !== this._end) this._fail("Trailing data after compressed block");
+    }
+    const out = new Uint8Array(6 + rawLen);
+    out.set(this.buffer.subarray(0, 6));
+    if (!lzDecompress(this.buffer, this.pos, Math.min(this.pos + compLen, this._end), out, 6)) {
+      this._fail("Corrupt compressed data");
+    }
+    this.buffer = out;
+    this.view = new DataView(out.buffer);
+    this._end = out.length;
+    this.pos = 6;
   }
 
   resetState() {
     this.pos = 0;
+    this._ix = null;
+    this._strBase = 0;
     this.refs.clear();
     this.ancestors = new WeakSet();
     this.strings.clear();
-    this.buffers.clear();
+    this._nRef = 0;
+    this._wNest = 0;
+    this._deepStack = this._defer = this._deferVal = null;
+    this._oob = this._oobIds = null;
   }
 
   resetMemory(opts = {}) {
     const sz = opts.shrink ? Math.max(this.options.memoryPoolSize || 65536, 256) : this.buf.length;
-    this.buf = new Uint8Array(sz);
-    this.dv = new DataView(this.buf.buffer);
-    this.f64 = new Float64Array(this.buf.buffer);
-    this.f32 = new Float32Array(this.buf.buffer);
-    this.i32 = new Int32Array(this.buf.buffer);
-    this.i16 = new Int16Array(this.buf.buffer);
+    this._setBuf(new Uint8Array(sz));
     this.pos = 0;
     this.refs.clear();
     this.ancestors = new WeakSet();
     this.strings.clear();
-    this.buffers.clear();
+    this._nRef = 0;
     if (this.deserializeRefs) { this.deserializeRefs.length = 0; this.deserializeRefs = null; }
     if (this.deserializeStrings) { this.deserializeStrings.length = 0; this.deserializeStrings = null; }
     if (this.deserializeBuffers) { this.deserializeBuffers.length = 0; this.deserializeBuffers = null; }
@@ -240,17 +1205,35 @@ class TurboSerial {
 
   // ── Write: varint ─────────────────────────────────────────────────
 
+  // Unsigned, up to 2^53 - 1. Callers reserve 5 bytes; longer forms reserve their own.
   _wV(v) {
-    v = v >>> 0;
     const b = this.buf;
     let p = this.pos;
     if (v < 0x80) { b[p] = v; this.pos = p + 1; return; }
     if (v < 0x4000) { b[p] = (v & 0x7F) | 0x80; b[p+1] = v >>> 7; this.pos = p + 2; return; }
+    if (v > 0xFFFFFFFF) { this._wVLong(v); return; }
     while (v >= 0x80) { b[p++] = (v & 0x7F) | 0x80; v >>>= 7; }
     b[p++] = v;
     this.pos = p;
   }
 
+  _wVLong(v) {
+    this._grow(8);
+    const b = this.buf;
+    let p = this.pos;
+    for (; v >= 0x80; v = Math.floor(v / 128)) b[p++] = (v % 128) | 0x80;
+    b[p++] = v;
+    this.pos = p;
+  }
+
+  // Zigzag varint of a safe integer: sign in bit 0, magnitude above it.
+  // Split after the first byte so 2|v| never has to exist as a double.
+  _wZigzag(v) {
+    const neg = v < 0 ? 1 : 0, q = neg ? -v - 1 : v;
+    this.buf[this.pos++] = ((q % 64) << 1) | neg | (q >= 64 ? 0x80 : 0);
+    if (q >= 64) this._wV(Math.floor(q / 64));
+  }
+
   // ── Write: main dispatch ──────────────────────────────────────────
 
   writeValue(value) {
@@ -265,16 +1248,23 @@ class TurboSerial {
     if (tp === "bigint") { this._wBigInt(value); return; }
 
     if (tp === "symbol") {
-      this._grow(2);
+      this._grow(6);
       const key = Symbol.keyFor(value);
-      if (key !== undefined) { this.buf[this.pos++] = T.SYMBOL_GLOBAL; this.writeValue(key); }
-      else if (WELLKNOWN_SYMBOLS.has(value)) { this.buf[this.pos++] = T.SYMBOL_WELLKNOWN; this.writeValue(WELLKNOWN_SYMBOLS.get(value)); }
-      else if (value.description === undefined) { this.buf[this.pos++] = T.SYMBOL_NO_DESC; }
+      if (key !== undefined) { this.buf[this.pos++] = T.SYMBOL_GLOBAL; this.writeValue(key); return; }
+      if (WELLKNOWN_SYMBOLS.has(value)) { this.buf[this.pos++] = T.SYMBOL_WELLKNOWN; this.writeValue(WELLKNOWN_SYMBOLS.get(value)); return; }
+      if (this.options.canonical) this._canonReject("a local symbol");
+      // Local symbols keep their identity within the message through the ref table
+      const rid = this.refs.get(value);
+      if (rid !== undefined) { this.buf[this.pos++] = T.REFERENCE; this._wV(rid); return; }
+      this.refs.set(value, this._nRef++);
+      if (this._ix !== null) this._ix.refs.push(this.pos);
+      if (value.description === undefined) { this.buf[this.pos++] = T.SYMBOL_NO_DESC; }
       else { this.buf[this.pos++] = T.SYMBOL; this.writeValue(value.description); }
       return;
     }
 
     if (tp === "function") {
+      if (this.options.canonical) this._canonReject("a function");
       this._grow(1);
       this.buf[this.pos++] = this.options.allowFunction ? T.FUNCTION_PLACEHOLDER : T.UNDEFINED;
       return;
@@ -295,36 +1285,41 @@ class TurboSerial {
       this._wV(rid);
       return;
     }
-    // First time seeing this object — register it
-    if (this.options.deduplication || this.options.detectCircular) {
-      this.refs.set(value, this.refs.size);
-    }
-
-    // ArrayBuffer sharing
-    if (this.options.shareArrayBuffers && value.constructor === ArrayBuffer) {
-      const bid = this.buffers.get(value);
-      if (bid !== undefined) { this._grow(6); this.buf[this.pos++] = T.BUFFER_REF; this._wV(bid); return; }
-      this.buffers.set(value, this.buffers.size);
+    // First time seeing this object — register it. Every object takes an id
+    // (the reader numbers them all); ArrayBuffers also for views sharing them.
+    if (this.options.deduplication || this.options.detectCircular || (this.options.shareArrayBuffers && value.constructor === ArrayBuffer)) {
+      this.refs.set(value, this._nRef);
     }
+    this._nRef++;
+    if (this._ix !== null) this._ix.refs.push(this.pos);
 
     // Track ancestors for circular detection
     if (this.options.detectCircular) this.ancestors.add(value);
+    // Deep graphs continue on an explicit stack, which also ends the ancestor entry
+    if (this._wNest >= this._deepAt) { this._wDeep(value); return; }
+    this._wNest++;
     this._wObj(value);
+    this._wNest--;
     if (this.options.detectCircular) this.ancestors.delete(value);
   }
 
   // ── Write: string with dedup ──────────────────────────────────────
 
   _wStrDedup(value) {
+    if (this.dictionary !== null) {
+      const did = this.dictionary._ids.get(value);
+      if (did !== undefined && did < this._strBase) { this._grow(6); this.buf[this.pos++] = T.STRING_REF; this._wV(did); return; }
+    }
     if (this.options.deduplication && value.length > 3) {
       const sid = this.strings.get(value);
       if (sid !== undefined) {
         this._grow(6);
         this.buf[this.pos++] = T.STRING_REF;
-        this._wV(sid);
+        this._wV(this._strBase + sid);
         return;
       }
       this.strings.set(value, this.strings.size);
+      if (this._ix !== null) this._ix.strs.push(this.pos);
     }
     this._wStr(value);
   }
@@ -335,14 +1330,21 @@ class TurboSerial {
     this._grow(10);
     
     let p = this.pos;
-    if (v !== v) { this.buf[p] = T.NAN; this.pos = p+1; return; }
+    if (v !== v) {
+      if (this.options.canonical) { _f64[0] = v; if ((_f64w[0] | _f64w[1]) !== NAN_HI || (_f64w[0] && _f64w[1])) this._canonReject("a NaN payload"); }
+      this.buf[p] = T.NAN; this.pos = p+1; return;
+    }
     if (v === Infinity) { this.buf[p] = T.INFINITY; this.pos = p+1; return; }
     if (v === -Infinity) { this.buf[p] = T.NEG_INFINITY; this.pos = p+1; return; }
     if (v === 0 && (1/v) < 0) { this.buf[p] = T.NEG_ZERO; this.pos = p+1; return; }
+    // Zigzag varints only where they beat the fixed forms: 4 bytes below
+    // ±2^20 (vs INT32), at most 8 below ±2^48 (vs FLOAT64). The result is
+    // the shortest form, fixed-width on ties, which canonical output relies on.
     const iv = v | 0;
     if (v === iv) {
       if (iv >= -0x80 && iv <= 0x7F) { this.buf[p] = T.INT8; this.buf[p+1] = iv & 0xFF; this.pos = p+2; }
       else if (iv >= -0x8000 && iv <= 0x7FFF) { this.buf[p] = T.INT16; this.dv.setInt16(p+1, iv, true); this.pos = p+3; }
+      else if (iv >= -0x100000 && iv < 0x100000) { this.buf[p] = T.VARINT_ZIGZAG; this.pos = p+1; this._wZigzag(iv); }
       else { this.buf[p] = T.INT32; this.dv.setInt32(p+1, iv, true); this.pos = p+5; }
       return;
     }
@@ -350,6 +1352,7 @@ class TurboSerial {
     if (v === uv) { this.buf[p] = T.UINT32; this.dv.setUint32(p+1, uv, true); this.pos = p+5; return; }
     _f32[0] = v;
     if (_f32[0] === v) { this.buf[p] = T.FLOAT32; this.dv.setFloat32(p+1, v, true); this.pos = p+5; }
+    else if (Number.isInteger(v) && v > -0x1000000000000 && v < 0x1000000000000) { this.buf[p] = T.VARINT_ZIGZAG; this.pos = p+1; this._wZigzag(v); }
     else { this.buf[p] = T.FLOAT64; this.dv.setFloat64(p+1, v, true); this.pos = p+9; }
   }
 
@@ -447,7 +1450,12 @@ class TurboSerial {
   // ── Write: objects (dispatch) ─────────────────────────────────────
 
   _wObj(value) {
-    
+    // Extensions come first, so they can take over built-in types too
+    if (this.extensions.list.length !== 0 || SHARED_EXTENSIONS.list.length !== 0) {
+      const ext = this._extensionFor(value);
+      if (ext !== undefined) { this._wExtension(value, ext); return; }
+    }
+
     if (Array.isArray(value)) { this._wArr(value); return; }
 
     const ctor = value.constructor;
@@ -459,84 +1467,217 @@ class TurboSerial {
         return;
       }
       if (mapped === T.REGEXP) { this._grow(1); this.buf[this.pos++] = T.REGEXP; this.writeValue(value.source); this.writeValue(value.flags); return; }
-      if (mapped === T.MAP) { this._grow(6); this.buf[this.pos++] = T.MAP; this._wV(value.size); for (const [k,v] of value) { this.writeValue(k); this.writeValue(v); } return; }
-      if (mapped === T.SET) { this._grow(6); this.buf[this.pos++] = T.SET; this._wV(value.size); for (const item of value) this.writeValue(item); return; }
+      if (mapped === T.MAP || mapped === T.SET) {
+        // Named properties of the collection itself go in a WITH_PROPS wrapper
+        const props = this._extraKeys || Object.keys(value).length !== 0 ? this._extraProps(value, false) : null;
+        if (props !== null) { this._grow(1); this.buf[this.pos++] = T.WITH_PROPS; }
+        if (mapped === T.MAP) this._wMap(value); else this._wSet(value);
+        if (props !== null) this._wProps(value, props[0], props[1]);
+        return;
+      }
       if (mapped === T.ARRAYBUFFER || mapped === T.SHAREDARRAYBUFFER) {
-        this._grow(6); this.buf[this.pos++] = mapped;
+        this._grow(6);
+        if (this._oob !== null) { this.buf[this.pos++] = T.BUFFER_OOB; this._wV(this._oobSlot(value)); return; }
+        this.buf[this.pos++] = mapped;
         const bytes = new Uint8Array(value);
         this._wV(bytes.length);
-        this._grow(bytes.length);
-        this.buf.set(bytes, this.pos);
-        this.pos += bytes.length;
+        this._wBytes(bytes);
         return;
       }
       if ((mapped & 0xF0) === 0x60) { this._wTypedArr(value, mapped); return; }
-    }
-
-    if (value.constructor === Error || (value.constructor && ERR_NAMES.has(value.constructor.name))) {
-      this._grow(2);
-      const et = ERR_NAMES.get(value.constructor.name) || T.CUSTOM_ERROR;
-      this.buf[this.pos++] = et;
-      this.writeValue(value.message || "");
-      this.writeValue(value.stack || "");
-      if (et === T.AGGREGATE_ERROR && value.errors) {
-        this._wV(value.errors.length);
-        for (const e of value.errors) this.writeValue(e);
+      if (mapped === T.BOXED) { this._grow(1); this.buf[this.pos++] = T.BOXED; this.writeValue(ctor.prototype.valueOf.call(value)); return; }
+      if (mapped === T.HEADERS) {
+        const entries = [...value]; // sorted by name, one entry per set-cookie
+        this._grow(6); this.buf[this.pos++] = T.HEADERS; this._wV(entries.length);
+        for (const [k, v] of entries) { this.writeValue(k); this.writeValue(v); }
+        return;
       }
+      if (mapped === T.URL || mapped === T.URL_SEARCH_PARAMS) { this._grow(1); this.buf[this.pos++] = mapped; this.writeValue(value.toString()); return; }
+    } else if (ArrayBuffer.isView(value)) {
+      this._wView(value);
       return;
     }
 
+    if (value instanceof Error) {
+      // Registered classes with an encode() hook take the registered path
+      const entry = this._classFor(value.constructor);
+      if (entry === undefined || !entry.encode) { this._wError(value, entry); return; }
+    }
+
     if (typeof Blob !== 'undefined' && (value.constructor === Blob || value.constructor === (typeof File !== 'undefined' ? File : null))) {
-      this._grow(12); this.buf[this.pos++] = (typeof File !== 'undefined' && value.constructor === File) ? T.FILE : T.BLOB;
-      this._wV(0); this._wV(0);
+      this._wBlob(value, typeof File !== 'undefined' && value.constructor === File);
       return;
     }
 
     this._wPlainObj(value);
   }
 
+  _wMap(value) {
+    const at = this.pos;
+    this._grow(6); this.buf[this.pos++] = T.MAP; this._wV(value.size);
+    const entries = this.options.canonical ? this._canonSort([...value], e => e[0]) : value;
+    const offs = this._ix !== null && value.size >= this.options.indexThreshold ? [] : null;
+    if (this._defer === value) { this._later(K_ENTRIES, value, [...entries], 2 * value.size, offs && [at, offs], false); return; }
+    for (const [k,v] of entries) { if (offs !== null) offs.push(this.pos); this.writeValue(k); this.writeValue(v); }
+    if (offs !== null) this._ix.boxes.push([at, offs]);
+  }
+
+  _wSet(value) {
+    this._grow(6); this.buf[this.pos++] = T.SET; this._wV(value.size);
+    const items = this.options.canonical ? this._canonSort([...value], v => v) : value;
+    if (this._defer === value) { this._later(K_VALS, value, [...items], value.size, null, false); return; }
+    for (const item of items) this.writeValue(item);
+  }
+
+  // Own properties a container's encoding leaves out (named keys of arrays,
+  // any key of Maps and Sets), as [enumerable, non-enumerable] key lists;
+  // null when there are none
+  _extraProps(obj, isArr) {
+    const o = this.options;
+    let ks = o.includeNonEnumerable ? Object.getOwnPropertyNames(obj) : Object.keys(obj);
+    if (o.symbolKeys) ks = ks.concat(Object.getOwnPropertySymbols(obj));
+    let en = null, hid = null;
+    for (const k of ks) {
+      if (isArr && (k === "length" || isIndexKey(k))) continue;
+      const e = isEnum.call(obj, k);
+      if (!e && !o.includeNonEnumerable) continue;
+      if (!o.serializeFunctions && typeof obj[k] === "function") continue;
+      if (e) (en || (en = [])).push(k); else (hid || (hid = [])).push(k);
+    }
+    return en === null && hid === null ? null : [en || [], hid || []];
+  }
+
+  // WITH_PROPS tail: enumerable, then non-enumerable key/value pairs
+  _wProps(obj, en, hid) {
+    for (let list of [en, hid]) {
+      if (this.options.canonical) list = this._canonSort(list, k => k);
+      if (this._defer === obj) { this._later(K_PAIRS, obj, list, 2 * list.length, null, true); continue; }
+      this._grow(5); this._wV(list.length);
+      for (const k of list) { this.writeValue(k); this.writeValue(obj[k]); }
+    }
+  }
+
+  // Layout: id, mode (0 = raw bytes, 1 = nested value)
+  _wExtension(value, ext) {
+    const data = ext.encode(value);
+    this._grow(7);
+    this.buf[this.pos++] = T.EXTENSION;
+    this._wV(ext.id);
+    if (data instanceof Uint8Array) {
+      this.buf[this.pos++] = 0;
+      this._grow(5);
+      this._wV(data.length);
+      this._wBytes(data);
+    } else {
+      this.buf[this.pos++] = 1;
+      this.writeValue(data);
+    }
+  }
+
   // ── Write: arrays ─────────────────────────────────────────────────
 
   _wArr(arr) {
     const len = arr.length;
-    if (len === 0) { this._grow(1); this.buf[this.pos++] = T.ARRAY_EMPTY; return; }
     // Opt 7: Fast sparse detection via key-count heuristic (avoids `in` operator in loop)
-    const isSparse = Object.keys(arr).length !== len;
+    const ks = Object.keys(arr);
+    let nk = ks.length;
+    // Named keys follow the indices, so a dense array ends on its last index
+    if (nk !== len || (nk !== 0 && ks[nk - 1] !== String(len - 1)) || this._extraKeys) {
+      // Named properties: WITH_PROPS around the elements
+      const props = this._extraProps(arr, true);
+      if (props !== null) {
+        for (const k of props[0]) { if (typeof k === "string") nk--; }
+        this._grow(1); this.buf[this.pos++] = T.WITH_PROPS;
+        this._wElems(arr, len, nk !== len);
+        this._wProps(arr, props[0], props[1]);
+        return;
+      }
+    }
+    this._wElems(arr, len, nk !== len);
+  }
+
+  _wElems(arr, len, isSparse) {
+    if (len === 0) { this._grow(1); this.buf[this.pos++] = T.ARRAY_EMPTY; return; }
     if (isSparse) {
       this._grow(12); this.buf[this.pos++] = T.ARRAY_SPARSE; this._wV(len);
+      // Index keys come first and in ascending order, so a huge sparse length costs nothing
       const entries = [];
-      for (let i = 0; i < len; i++) { if (i in arr) entries.push(i); }
+      for (const k of Object.keys(arr)) { if (!isIndexKey(k)) break; entries.push(+k); }
       this._wV(entries.length);
+      if (this._defer === arr) { this._later(K_SPARSE, arr, entries, entries.length, null, false); return; }
       for (const idx of entries) { this._wV(idx); this.writeValue(arr[idx]); }
       return;
     }
     // Opt 6: Single-pass packed detect + write
-    if (this.options.simdOptimization && len >= 8 && typeof arr[0] === "number") {
-      if (this._wPackedArr(arr, len)) return;
+    if (this.options.simdOptimization && len >= 8) {
+      const t0 = typeof arr[0];
+      if (t0 === "number" && this._wPackedArr(arr, len)) return;
+      if (t0 === "boolean" && this._wBitset(arr, len)) return;
     }
-    this._grow(6); this.buf[this.pos++] = T.ARRAY_DENSE; this._wV(len);
-    for (let i = 0; i < len; i++) this.writeValue(arr[i]);
+    // Indexed messages keep per-element offsets, so records stay standalone there
+    if (this.options.shapes && len >= 2 && typeof arr[0] === "object" && arr[0] !== null && this._ix === null) {
+      const keys = this._shapeKeys(arr[0]);
+      // On the explicit stack the records are checked one step at a time
+      if (keys !== null && this._defer === arr) { this._later(K_SHAPE, arr, keys, len, null, false); return; }
+      if (keys !== null && this._wShapedArr(arr, len, keys)) return;
+    }
+    this._wDense(arr, len);
   }
 
-  // Opt 6: Merged detect + write in a single pass — returns true if packed
-  _wPackedArr(arr, len) {
-    let allInt = 1, min = arr[0], max = arr[0], canF32 = 1;
+  _wDense(arr, len) {
+    const at = this.pos;
+    this._grow(6); this.buf[this.pos++] = T.ARRAY_DENSE; this._wV(len);
+    if (this._defer === arr) { this._later(K_VALS, arr, arr, len, this._ix !== null && len >= this.options.indexThreshold ? [at, []] : null, false); return; }
+    if (this._ix !== null && len >= this.options.indexThreshold) {
+      const offs = new Array(len);
+      for (let i = 0; i < len; i++) { offs[i] = this.pos; this.writeValue(arr[i]); }
+      this._ix.boxes.push([at, offs]);
+      return;
+    }
+    for (let i = 0; i < len; i++) this.writeValue(arr[i]);
+  }
+
+  // Opt 6: Merged detect + write in a single pass — returns true if packed.
+  // The same pass sizes the delta form (zigzag varint differences, safe
+  // integers only) and the run-length form; the smallest encoding wins,
+  // fixed-width on ties.
+  _wPackedArr(arr, len) {
+    let allInt = 1, allU32 = 1, allSafe = 1, min = arr[0], max = arr[0], canF32 = 1;
+    let prev = 0, dBytes = 0, runs = 0, rBytes = 0, runAt = 0;
     for (let i = 0; i < len; i++) {
       const v = arr[i];
       if (typeof v !== "number") return false;
+      if (v === 0 && 1 / v < 0) allInt = allU32 = allSafe = 0; // -0 only survives as a float
       if (v !== (v | 0)) allInt = 0;
+      if (v !== v >>> 0) allU32 = 0;
       if (v < min) min = v; if (v > max) max = v;
       if (canF32) { _f32[0] = v; if (_f32[0] !== v) canF32 = 0; }
+      if (allSafe) {
+        const d = v - prev;
+        if (!Number.isSafeInteger(v) || !Number.isSafeInteger(d)) allSafe = 0;
+        else dBytes += zzLen(d);
+      }
+      if (i !== 0 && !sameNum(v, prev)) { rBytes += vLen(i - runAt) + numLen(prev); runs++; runAt = i; }
+      prev = v;
     }
     let type;
     if (allInt) {
       const am = Math.max(Math.abs(min), Math.abs(max));
       if (am <= 0x7F) type = T.ARRAY_PACKED_I8;
+      else if (min >= 0 && max <= 0xFF) type = T.ARRAY_PACKED_U8;
       else if (am <= 0x7FFF) type = T.ARRAY_PACKED_I16;
+      else if (min >= 0 && max <= 0xFFFF) type = T.ARRAY_PACKED_U16;
       else type = T.ARRAY_PACKED_I32;
+    } else if (allU32) {
+      type = T.ARRAY_PACKED_U32;
     } else {
       type = canF32 ? T.ARRAY_PACKED_F32 : T.ARRAY_PACKED_F64;
     }
+    let size = len * BPE[type];
+    if (allSafe && dBytes + vLen(dBytes) < size) { type = T.ARRAY_DELTA; size = dBytes + vLen(dBytes); }
+    rBytes += vLen(len - runAt) + numLen(prev) + vLen(runs + 1);
+    if (rBytes < size) { this._wRuns(arr, len, runs + 1); return true; }
+    if (type === T.ARRAY_DELTA) { this._wDelta(arr, len, dBytes); return true; }
     // Write header + data in one shot
     const es = BPE[type] || 1;
     this._grow(6 + len * es);
@@ -545,8 +1686,11 @@ class TurboSerial {
     let p = this.pos;
     switch (type) {
       case T.ARRAY_PACKED_I8:  for (let i = 0; i < len; i++) this.buf[p++] = arr[i] & 0xFF; break;
+      case T.ARRAY_PACKED_U8:  for (let i = 0; i < len; i++) this.buf[p++] = arr[i]; break;
       case T.ARRAY_PACKED_I16: for (let i = 0; i < len; i++) { this.dv.setInt16(p, arr[i], true); p += 2; } break;
+      case T.ARRAY_PACKED_U16: for (let i = 0; i < len; i++) { this.dv.setUint16(p, arr[i], true); p += 2; } break;
       case T.ARRAY_PACKED_I32: for (let i = 0; i < len; i++) { this.dv.setInt32(p, arr[i], true); p += 4; } break;
+      case T.ARRAY_PACKED_U32: for (let i = 0; i < len; i++) { this.dv.setUint32(p, arr[i], true); p += 4; } break;
       case T.ARRAY_PACKED_F32: for (let i = 0; i < len; i++) { this.dv.setFloat32(p, arr[i], true); p += 4; } break;
       case T.ARRAY_PACKED_F64: for (let i = 0; i < len; i++) { this.dv.setFloat64(p, arr[i], true); p += 8; } break;
     }
@@ -554,75 +1698,304 @@ class TurboSerial {
     return true;
   }
 
+  // Layout: len, byte length, zigzag varint of each difference (from 0)
+  _wDelta(arr, len, bytes) {
+    this._grow(11 + bytes);
+    this.buf[this.pos++] = T.ARRAY_DELTA;
+    this._wV(len); this._wV(bytes);
+    for (let i = 0, prev = 0; i < len; i++) { this._wZigzag(arr[i] - prev); prev = arr[i]; }
+  }
+
+  // Layout: len, run count, then per run: varint count, number value
+  _wRuns(arr, len, runs) {
+    this._grow(11);
+    this.buf[this.pos++] = T.ARRAY_RLE;
+    this._wV(len); this._wV(runs);
+    for (let i = 0, at = 0; i <= len; i++) {
+      if (i === len || (i !== at && !sameNum(arr[i], arr[at]))) {
+        this._grow(5); this._wV(i - at); this._wNum(arr[at]);
+        at = i;
+      }
+    }
+  }
+
+  // Layout: len, then ceil(len / 8) bytes, element i at bit i % 8 of byte i >> 3
+  _wBitset(arr, len) {
+    for (let i = 0; i < len; i++) { if (typeof arr[i] !== "boolean") return false; }
+    const n = Math.ceil(len / 8);
+    this._grow(6 + n);
+    this.buf[this.pos++] = T.ARRAY_BITSET;
+    this._wV(len);
+    const b = this.buf, p = this.pos;
+    b.fill(0, p, p + n);
+    for (let i = 0; i < len; i++) { if (arr[i]) b[p + (i >> 3)] |= 1 << (i & 7); }
+    this.pos = p + n;
+    return true;
+  }
+
+  // ── Write: errors ─────────────────────────────────────────────────
+
+  // Layout: base, flags, [tag], message, [name], [stack], [cause], [errors],
+  // then own enumerable props as count + pairs. Name is written when it
+  // differs from the base's; stripStack drops the stack.
+  _wError(err, entry) {
+    let base = 0;
+    for (let p = Object.getPrototypeOf(err); p !== null; p = Object.getPrototypeOf(p)) {
+      const i = ERR_PROTOS.indexOf(p);
+      if (i >= 0) { base = i; break; }
+    }
+    const name = err.name, stack = this.options.stripStack ? undefined : err.stack;
+    const flags = (entry !== undefined ? EF_TAG : 0)
+      | (typeof name === "string" && (base === EB_DOM || name !== ERR_PROTOS[base].name) ? EF_NAME : 0)
+      | (typeof stack === "string" ? EF_STACK : 0)
+      | (Object.hasOwn(err, "cause") ? EF_CAUSE : 0)
+      | (base === EB_AGGREGATE && Object.hasOwn(err, "errors") ? EF_ERRORS : 0);
+    this._grow(3);
+    this.buf[this.pos++] = T.ERROR_FULL;
+    this.buf[this.pos++] = base;
+    this.buf[this.pos++] = flags;
+    if (flags & EF_TAG) this.writeValue(entry.tag);
+    this.writeValue(typeof err.message === "string" ? err.message : "");
+    if (flags & EF_NAME) this.writeValue(name);
+    if (flags & EF_STACK) this.writeValue(stack);
+    if (this._defer === err && flags & (EF_CAUSE | EF_ERRORS)) {
+      const ks = flags & EF_CAUSE ? (flags & EF_ERRORS ? ["cause", "errors"] : ["cause"]) : ["errors"];
+      this._later(K_FIELDS, err, ks, ks.length, null, false);
+    } else {
+      if (flags & EF_CAUSE) this.writeValue(err.cause);
+      if (flags & EF_ERRORS) this.writeValue(err.errors);
+    }
+    let keys = Object.keys(err);
+    if (this.options.stripStack) keys = keys.filter(k => k !== "stack");
+    this._wOwnEntries(err, keys);
+  }
+
+  // ── Write: Blob / File ────────────────────────────────────────────
+
+  // Layout: size, flags (1: contents follow), then bytes, type, and for a
+  // File name and lastModified. Contents are only readable asynchronously:
+  // serializeAsync() copies them into the room left here, elsewhere this
+  // writes size and flags 0 (a placeholder).
+  _wBlob(value, isFile) {
+    this._grow(12);
+    this.buf[this.pos++] = isFile ? T.FILE : T.BLOB;
+    if (this._blobs === null) { this._wV(0); this._wV(0); return; }
+    const n = value.size;
+    this._wV(n); this._wV(1);
+    this._grow(n);
+    this._blobs.push(this.pos, value);
+    this.pos += n;
+    this.writeValue(value.type);
+    if (isFile) { this.writeValue(value.name); this.writeValue(value.lastModified); }
+  }
+
+  // ── Write: shaped arrays ──────────────────────────────────────────
+  // Arrays of plain objects with one key list. ARRAY_SHAPED: len, key
+  // count, keys, then each record's values in key order. ARRAY_COLUMNAR
+  // (columnar: true): len, key count, keys, then one array per key, so
+  // numeric fields pack. Records take ref ids right after the array,
+  // before any of their values. Returns false if the array doesn't fit.
+  _wShapedArr(arr, len, keys) {
+    for (let i = 1; i < len; i++) { if (!sameKeys(this._shapeKeys(arr[i]), keys)) return false; }
+    return this._wShaped(arr, len, keys);
+  }
+
+  // Records already checked against `keys`
+  _wShaped(arr, len, keys) {
+    const k = keys.length;
+    if (this.options.deduplication || this.options.detectCircular) {
+      for (let i = 0; i < len; i++) {
+        // A record seen before (or twice here) must be written as a reference
+        if (this.refs.has(arr[i])) { for (let j = 0; j < i; j++) this.refs.delete(arr[j]); this._nRef -= i; return false; }
+        this.refs.set(arr[i], this._nRef++);
+      }
+    } else this._nRef += len;
+    const columnar = this.options.columnar, circ = this.options.detectCircular;
+    this._grow(11);
+    this.buf[this.pos++] = columnar ? T.ARRAY_COLUMNAR : T.ARRAY_SHAPED;
+    this._wV(len); this._wV(k);
+    for (let j = 0; j < k; j++) this.writeValue(keys[j]);
+    if (!columnar && this._defer === arr) { this._later(K_ROWS, arr, keys, len * k, null, false); return true; }
+    if (!columnar) {
+      for (let i = 0; i < len; i++) {
+        const o = arr[i];
+        if (circ) this.ancestors.add(o);
+        for (let j = 0; j < k; j++) this.writeValue(o[keys[j]]);
+        if (circ) this.ancestors.delete(o);
+      }
+      return true;
+    }
+    if (circ) for (let i = 0; i < len; i++) this.ancestors.add(arr[i]);
+    for (let j = 0; j < k; j++) {
+      const col = new Array(len), key = keys[j];
+      for (let i = 0; i < len; i++) col[i] = arr[i][key];
+      this.writeValue(col);
+    }
+    if (circ) for (let i = 0; i < len; i++) this.ancestors.delete(arr[i]);
+    return true;
+  }
+
+  // Keys of an object _wPlainObj would write as a simple literal, else null
+  _shapeKeys(obj) {
+    if (typeof obj !== "object" || obj === null || Array.isArray(obj)) return null;
+    const proto = Object.getPrototypeOf(obj);
+    if (proto !== null && (proto !== Object.prototype || obj.constructor !== Object)) return null;
+    if ((this.extensions.list.length !== 0 || SHARED_EXTENSIONS.list.length !== 0) && this._extensionFor(obj) !== undefined) return null;
+    const keys = Object.keys(obj);
+    if (keys.length === 0) return null;
+    // Symbol keys and hidden properties don't fit a record's key list
+    if (this._extraKeys && (Object.getOwnPropertyNames(obj).length !== keys.length || Object.getOwnPropertySymbols(obj).length !== 0)) return null;
+    if (this.options.preservePropertyDescriptors) {
+      if (Object.getOwnPropertyNames(obj).length !== keys.length || Object.getOwnPropertySymbols(obj).length !== 0) return null;
+      for (let i = 0; i < keys.length; i++) {
+        const d = Object.getOwnPropertyDescriptor(obj, keys[i]);
+        if (d.get || d.set || !d.writable || !d.configurable) return null;
+      }
+    }
+    for (let i = 0; i < keys.length; i++) { if (typeof obj[keys[i]] === "function") return null; }
+    if (this.options.sortKeys) keys.sort();
+    return keys;
+  }
+
   // ── Write: typed arrays ───────────────────────────────────────────
 
-  _wTypedArr(arr, type) {
+  // `at`: offset of the view's ref (its TYPED_SUBCLASS wrapper, if any)
+  _wTypedArr(arr, type, at = this.pos) {
     this._grow(12);
     this.buf[this.pos++] = type;
     const buffer = arr.buffer;
-    if (this.options.shareArrayBuffers) {
-      const bid = this.buffers.get(buffer);
+    // Buffers often sit in Node's shared allocation pool, so they never share
+    let reg = 0;
+    if (this.options.shareArrayBuffers && type !== T.NODE_BUFFER) {
+      const bid = this.refs.get(buffer);
       if (bid !== undefined) {
         this.buf[this.pos++] = 1; // shared flag
         this._wV(bid); this._wV(arr.byteOffset); this._wV(arr.length);
         return;
       }
-      this.buffers.set(buffer, this.buffers.size);
+      // Only a view spanning its whole buffer brings that buffer along (as the
+      // ref after the view's); partial views carry just their own bytes.
+      // Out of band, the whole buffer goes along whatever the view covers.
+      if (this._oob !== null || (arr.byteOffset === 0 && arr.byteLength === buffer.byteLength)) {
+        this.refs.set(buffer, this._nRef);
+        if (this._ix !== null) { this._ix.refs.push(at); this._ix.bufs.push(this._nRef); }
+        this._nRef++;
+        reg = 1;
+      }
+    }
+    if (this._oob !== null && type !== T.NODE_BUFFER) {
+      // Flag 8: the body is out-of-band buffer `slot`
+      this._grow(16);
+      this.buf[this.pos++] = 8 | (reg ? 0 : 4);
+      this._wV(arr.byteOffset); this._wV(type === T.DATAVIEW ? arr.byteLength : arr.length); this._wV(this._oobSlot(buffer));
+      return;
     }
-    this.buf[this.pos++] = 0; // not shared
-    this._wV(arr.byteOffset); this._wV(arr.length);
     const es = BPE[type] || 1;
+    // Zero-copy mode (flag 2) aligns the body to its element size: pad count byte + zeros
+    const pad = this._zcPad && es > 1 && type !== T.BIGINT64ARRAY && type !== T.BIGUINT64ARRAY;
+    this.buf[this.pos++] = (pad ? 2 : 0) | (reg ? 0 : 4); // not shared; 4: buffer not registered
+    // Unshared bodies are copied, so the source offset only matters in canonical form
+    this._wV(this.options.canonical ? 0 : arr.byteOffset); this._wV(arr.length);
+    if (pad) {
+      this._grow(8);
+      const n = (es - (this._flushed + this.pos + 1) % es) % es;
+      this.buf[this.pos++] = n;
+      for (let i = 0; i < n; i++) this.buf[this.pos++] = 0;
+    }
     if (type === T.BIGINT64ARRAY || type === T.BIGUINT64ARRAY) {
       this._grow(arr.length * 8);
       for (let i = 0; i < arr.length; i++) { this.dv.setBigInt64(this.pos, arr[i], true); this.pos += 8; }
     } else {
-      const tb = arr.length * es;
-      this._grow(tb);
-      const src = new Uint8Array(buffer, arr.byteOffset, tb);
-      this.buf.set(src, this.pos);
-      this.pos += tb;
+      this._wBytes(new Uint8Array(buffer, arr.byteOffset, arr.length * es));
     }
   }
 
+  // Slot of an out-of-band buffer, taken on first use
+  _oobSlot(b) {
+    let i = this._oobIds.get(b);
+    if (i === undefined) { i = this._oob.length; this._oob.push(b); this._oobIds.set(b, i); }
+    return i;
+  }
+
+  // Typed array or DataView subclass. Registered subclasses are written as
+  // TYPED_SUBCLASS + tag before the base encoding; others as their base type.
+  _wView(view) {
+    const base = CTOR_MAP.get(globalThis[TA_NAME.call(view) || "DataView"]);
+    const entry = this._classFor(view.constructor);
+    if (entry !== undefined && entry.encode) { this._wRegisteredObj(view, entry, []); return; }
+    const at = this.pos;
+    if (entry !== undefined) { this._grow(1); this.buf[this.pos++] = T.TYPED_SUBCLASS; this.writeValue(entry.tag); }
+    this._wTypedArr(view, base, at);
+  }
+
   // ── Write: plain objects ──────────────────────────────────────────
 
   _wPlainObj(obj) {
     const proto = Object.getPrototypeOf(obj);
     const isPlain = (obj.constructor === Object) || (proto === Object.prototype) || (proto === null);
-    const keys = Object.keys(obj);
+    const o = this.options;
+    let keys = Object.keys(obj);
+    if (o.symbolKeys) {
+      const syms = Object.getOwnPropertySymbols(obj).filter(k => isEnum.call(obj, k));
+      if (syms.length !== 0) keys = keys.concat(syms);
+    }
 
-    if (keys.length === 0 && isPlain) { this._grow(1); this.buf[this.pos++] = T.OBJECT_EMPTY; return; }
+    if (keys.length === 0 && isPlain && !o.includeNonEnumerable) { this._grow(1); this.buf[this.pos++] = T.OBJECT_EMPTY; return; }
 
     // Classify object type
     if (!isPlain) {
-      this._wConstructorObj(obj, keys);
+      for (const W of WEAK_CTORS) { if (obj instanceof W) throw new TypeError(`Cannot serialize a ${W.name}: its contents are not enumerable`); }
+      const entry = obj.constructor ? this._classFor(obj.constructor) : undefined;
+      if (entry !== undefined) this._wRegisteredObj(obj, entry, keys);
+      else this._wConstructorObj(obj, keys);
       return;
     }
 
-    if (this.options.preservePropertyDescriptors) {
+    // includeNonEnumerable: plain non-enumerable data properties (symbol-keyed
+    // ones with symbolKeys) follow in a WITH_PROPS wrapper, not as descriptors
+    let hidden = null;
+    if (o.preservePropertyDescriptors) {
       // Check for complex descriptors
       const allKeys = [...Object.getOwnPropertyNames(obj), ...Object.getOwnPropertySymbols(obj)];
       let hasComplex = false;
       for (const k of allKeys) {
         const d = Object.getOwnPropertyDescriptor(obj, k);
-        if (d.get || d.set || !d.enumerable || !d.writable || !d.configurable) { hasComplex = true; break; }
+        if (d.get || d.set || !d.writable || !d.configurable) { hasComplex = true; break; }
+        if (!d.enumerable) {
+          if (!o.includeNonEnumerable || (typeof k === "symbol" && !o.symbolKeys)) { hasComplex = true; break; }
+          if (o.serializeFunctions || typeof d.value !== "function") (hidden || (hidden = [])).push(k);
+        }
       }
       if (hasComplex) { this._wDescriptorObj(obj, allKeys); return; }
+    } else if (o.includeNonEnumerable) {
+      const ks = Object.getOwnPropertyNames(obj);
+      for (const k of o.symbolKeys ? ks.concat(Object.getOwnPropertySymbols(obj)) : ks) {
+        if (!isEnum.call(obj, k) && (o.serializeFunctions || typeof obj[k] !== "function")) (hidden || (hidden = [])).push(k);
+      }
     }
 
     // Check for methods
     let hasMethods = false;
-    if (this.options.allowFunction) {
+    if (o.allowFunction) {
       for (let i = 0; i < keys.length; i++) {
         if (typeof obj[keys[i]] === "function") { hasMethods = true; break; }
       }
     }
-    if (hasMethods) { this._wMethodObj(obj, keys); return; }
+    if (hidden !== null) { this._grow(1); this.buf[this.pos++] = T.WITH_PROPS; }
+    if (hasMethods) this._wMethodObj(obj, keys);
+    else this._wLiteralObj(obj, keys);
+    if (hidden !== null) this._wProps(obj, [], hidden);
+  }
 
-    // Simple object
+  // Simple object
+  _wLiteralObj(obj, keys) {
+    const at = this.pos;
     this._grow(6);
     this.buf[this.pos++] = T.OBJECT_LITERAL;
-    if (this.options.sortKeys) keys.sort();
+    if (this.options.canonical) {
+      for (let i = 0; i < keys.length; i++) { if (typeof obj[keys[i]] === "function") this._canonReject("a function"); }
+      keys = this._canonSort(keys, k => k);
+    } else if (this.options.sortKeys) keys = sortKeys(keys);
     // Count non-function keys
     let count = keys.length;
     if (!this.options.serializeFunctions) {
@@ -630,23 +2003,35 @@ class TurboSerial {
       for (let i = 0; i < keys.length; i++) { if (typeof obj[keys[i]] !== "function") count++; }
     }
     this._wV(count);
+    const offs = this._ix !== null && count >= this.options.indexThreshold ? [] : null;
+    if (this._defer === obj) {
+      if (count !== keys.length) keys = keys.filter(k => typeof obj[k] !== "function");
+      this._later(K_PAIRS, obj, keys, 2 * count, offs && [at, offs], false);
+      return;
+    }
     for (let i = 0; i < keys.length; i++) {
       const v = obj[keys[i]];
       if (!this.options.serializeFunctions && typeof v === "function") continue;
+      if (offs !== null) offs.push(this.pos);
       this.writeValue(keys[i]);
       this.writeValue(v);
     }
+    if (offs !== null) this._ix.boxes.push([at, offs]);
   }
 
   _wDescriptorObj(obj, allKeys) {
     this._grow(6);
     this.buf[this.pos++] = T.OBJECT_WITH_DESCRIPTORS;
-    const serializable = allKeys.filter(k => {
+    let serializable = allKeys.filter(k => {
       try {
         const d = Object.getOwnPropertyDescriptor(obj, k);
         return d && (this.options.serializeFunctions || (!d.get && !d.set && typeof d.value !== "function"));
       } catch(e) { return false; }
     });
+    if (this.options.canonical) {
+      if (serializable.length !== allKeys.length) this._canonReject("accessors or function properties");
+      serializable = this._canonSort(serializable, k => k);
+    }
     this._wV(serializable.length);
     for (const key of serializable) {
       this.writeValue(key);
@@ -689,13 +2074,113 @@ class TurboSerial {
     this._grow(6);
     this.buf[this.pos++] = T.OBJECT_CONSTRUCTOR;
     this.writeValue(obj.constructor?.name || "");
-    const sk = this.options.serializeFunctions
+    this._wOwnEntries(obj, keys);
+  }
+
+  // Layout: tag, mode (0 = own keys follow, 1 = encode() result follows)
+  _wRegisteredObj(obj, entry, keys) {
+    this._grow(6);
+    this.buf[this.pos++] = T.OBJECT_REGISTERED;
+    this.writeValue(entry.tag);
+    this._grow(1);
+    if (entry.encode) { this.buf[this.pos++] = 1; this.writeValue(entry.encode(obj)); return; }
+    this.buf[this.pos++] = 0;
+    this._wOwnEntries(obj, keys);
+  }
+
+  _wOwnEntries(obj, keys) {
+    let sk = this.options.serializeFunctions
       ? keys
       : keys.filter(k => { try { return typeof obj[k] !== "function"; } catch(e) { return false; } });
+    if (this.options.canonical) {
+      if (sk.length !== keys.length) this._canonReject("function properties");
+      sk = this._canonSort(sk, k => k);
+    }
+    // Deferred, the count waits for the frames queued before (an error's cause)
+    if (this._defer === obj) { this._later(K_PAIRS, obj, sk, 2 * sk.length, null, true); return; }
+    this._grow(6);
     this._wV(sk.length);
     for (const k of sk) { this.writeValue(k); this.writeValue(obj[k]); }
   }
 
+  // ── Write: explicit stack ─────────────────────────────────────────
+
+  // Past iterativeDepth, writeValue() hands objects here instead of recursing.
+  // The object's writer runs with _defer set to it, so its entry loops queue
+  // frames instead of writing; the stack then writes one entry at a time,
+  // and an entry that is an object itself (_deferVal) stacks its own frames.
+  // Bytes, ids and index offsets match the recursive writer's. Values nested
+  // any other way (causes, columns, descriptors) are written right away.
+  _wDeep(value) {
+    const own = this._deferVal === value, stack = own ? this._deepStack : [];
+    stack.push({ t: K_END, o: value, a: null, n: 0, i: 0, x: null, c: false, d: 0 });
+    this._wStack(stack, value, () => this._wObj(value));
+    if (own) return;
+    const outer = this._deepStack;
+    this._deepStack = stack;
+    this._wRun(stack, Infinity);
+    this._deepStack = outer;
+  }
+
+  // Runs `write` with the entry loops of `obj` deferred, then stacks the frames they queued
+  _wStack(stack, obj, write) {
+    const q = this._deepQ, d = this._defer;
+    this._deepQ = []; this._defer = obj;
+    write();
+    const fr = this._deepQ;
+    this._deepQ = q; this._defer = d;
+    for (let j = fr.length - 1; j >= 0; j--) stack.push(fr[j]);
+  }
+
+  // Writes frames until the stack is empty (true) or, unless `until` is
+  // Infinity, it's time to pause (false): a streamed chunk waits to be read,
+  // or, checked every 64 entries, the clock passes `until`
+  _wRun(stack, until) {
+    for (let n = 1; stack.length !== 0; n++) {
+      if (until !== Infinity && (this._full || (n & 63) === 0 && performance.now() >= until)) return false;
+      const f = stack[stack.length - 1];
+      if (f.t === K_SHAPE) {
+        // The last record (or the first misfit) settles shaped vs dense
+        if (++f.i < f.n && sameKeys(this._shapeKeys(f.o[f.i]), f.a)) continue;
+        stack.pop();
+        this._wStack(stack, f.o, () => { if (f.i !== f.n || !this._wShaped(f.o, f.n, f.a)) this._wDense(f.o, f.n); });
+        continue;
+      }
+      if (f.c) { f.c = false; this._grow(5); this._wV(f.n >> 1); }
+      if (f.i === f.n) {
+        stack.pop();
+        if (f.x !== null) this._ix.boxes.push(f.x);
+        else if (f.t === K_END && this.options.detectCircular) this.ancestors.delete(f.o);
+        else if (f.t === K_ROWS && this.options.detectCircular) this.ancestors.delete(f.o[f.o.length - 1]);
+        continue;
+      }
+      const i = f.i++, t = f.t;
+      let v;
+      if (t === K_VALS) v = f.a[i];
+      else if (t === K_ROWS) {
+        // A record stays an ancestor until its last field's subtree is done
+        const k = f.a.length, r = (i / k) | 0, j = i - r * k;
+        if (j === 0 && this.options.detectCircular) { if (r !== 0) this.ancestors.delete(f.o[r - 1]); this.ancestors.add(f.o[r]); }
+        v = f.o[r][f.a[j]];
+      }
+      else if (t === K_PAIRS) v = i & 1 ? f.o[f.a[i >> 1]] : f.a[i >> 1];
+      else if (t === K_ENTRIES) v = f.a[i >> 1][i & 1];
+      else if (t === K_FIELDS) v = f.o[f.a[i]];
+      else { this._grow(5); this._wV(f.a[i]); v = f.o[f.a[i]]; }
+      if (f.x !== null && (t === K_VALS || !(i & 1))) f.x[1].push(this.pos);
+      this._deferVal = v;
+      this.writeValue(v);
+      this._deferVal = null;
+    }
+    return true;
+  }
+
+  // Frame for the entries of the container in _defer: `n` steps over list `a`,
+  // `x` an index box or reader detail, `c` a count still to write or read
+  _later(t, o, a, n, x, c) {
+    this._deepQ.push({ t, o, a, n, i: 0, x, c, d: this._depth });
+  }
+
   // ══════════════════════════════════════════════════════════════════
   // ── DESERIALIZATION ───────────────────────────────────────────────
   // ══════════════════════════════════════════════════════════════════
@@ -713,25 +2198,86 @@ class TurboSerial {
 
   // Opt 10: Pre-alloc aware push helpers
   _pushRef(val) {
+    if (this._strict) this._checkTable(this.deserializeRefs, this._drIdx, this.options.maxRefs);
     if (this._drIdx >= 0) { this.deserializeRefs[this._drIdx++] = val; }
     else { this.deserializeRefs.push(val); }
   }
   _pushStr(val) {
+    if (this._strict) this._checkTable(this.deserializeStrings, this._dsIdx, Infinity);
     if (this._dsIdx >= 0) { this.deserializeStrings[this._dsIdx++] = val; }
     else { this.deserializeStrings.push(val); }
   }
+  // Reserve a ref slot for values that are only known after their payload is read
+  _reserveRef() {
+    if (this._strict) this._checkTable(this.deserializeRefs, this._drIdx, this.options.maxRefs);
+    if (this._drIdx >= 0) return this._drIdx++;
+    return this.deserializeRefs.push(undefined) - 1;
+  }
   _pushBuf(val) {
+    if (this._strict) this._checkTable(this.deserializeBuffers, this._dbIdx, Infinity);
     if (this._dbIdx >= 0) { this.deserializeBuffers[this._dbIdx++] = val; }
     else { this.deserializeBuffers.push(val); }
   }
 
+  // ── Strict mode checks ────────────────────────────────────────────
+
+  _fail(msg) { throw new TurboSerialDecodeError(msg, this.pos); }
+
+  _need(n) { if (this.pos + n > this._end) this._fail("Unexpected end of data"); }
+
+  // Length prefix: `n` entries of at least `es` bytes each must still fit in the input
+  _checkLen(n, es, max) {
+    if (n > max) this._fail(`Length ${n} exceeds limit of ${max}`);
+    this._need(n * es);
+  }
+
+  // Pre-allocated (v7) tables must not outgrow their header count
+  _checkTable(table, idx, max) {
+    const n = idx >= 0 ? idx : table.length;
+    if (n >= max || (idx >= 0 && idx >= table.length)) this._fail("More entries than declared in header");
+  }
+
+  // Back-references may only point at entries that were already read
+  _rIdx(table, idx) {
+    const i = this._rV();
+    if (this._strict && i >= (idx >= 0 ? idx : table.length)) this._fail(`Reference ${i} out of range`);
+    return table[i];
+  }
+
+  _rKey() {
+    const key = this.readValue();
+    if (this._strict && key === "__proto__") this._fail("Refusing __proto__ key");
+    return key;
+  }
+
   readValue() {
+    if (this._strict) return this._rChecked();
+    return this._rValue();
+  }
+
+  _rChecked() {
+    if (++this._depth > this.options.maxDepth) this._fail("Maximum depth exceeded");
+    this._need(1);
+    if (KNOWN_TYPES[this.buffer[this.pos]] === 0) this._fail(`Unknown type: 0x${this.buffer[this.pos].toString(16)}`);
+    const v = this._rValue();
+    this._depth--;
+    return v;
+  }
+
+  _rValue() {
     const type = this.buffer[this.pos++]; // FIX: was this.buf
 
     // References
-    if (type === T.REFERENCE || type === T.CIRCULAR_REF) return this.deserializeRefs[this._rV()];
-    if (type === T.STRING_REF) return this.deserializeStrings[this._rV()];
-    if (type === T.BUFFER_REF) return this.deserializeBuffers[this._rV()];
+    if (type === T.REFERENCE || type === T.CIRCULAR_REF) {
+      const v = this._rIdx(this.deserializeRefs, this._drIdx);
+      if (this._hooked !== null && this._hooked.has(v)) this._hooked.set(v, true);
+      return this._zc !== null && this._zc.has(v) ? this._ownBuf(v) : v;
+    }
+    if (type === T.STRING_REF) return this._rIdx(this.deserializeStrings, this._dsIdx);
+    if (type === T.BUFFER_REF) {
+      const b = this._rIdx(this.deserializeBuffers, this._dbIdx);
+      return ArrayBuffer.isView(b) ? this._ownBuf(b) : b;
+    }
 
     const g = type & GM;
 
@@ -744,46 +2290,87 @@ class TurboSerial {
     // String
     if (g === 0x30) return this._rStr(type);
 
+    if (type === T.OBJECT_REGISTERED) return this._rRegisteredObj();
+    if (type === T.WITH_PROPS) return this._rWithProps();
+    if (type === T.EXTENSION) return this._rExtension();
+
     // Array / Object / Collection — register BEFORE filling
     if (g === 0x40 || g === 0x50 || g === 0x80) {
       let val;
-      if (g === 0x40) val = [];
+      if (g === 0x40) {
+        if (this._packedTyped && PCTOR[type] !== undefined) { val = this._rPackedTyped(type); this._pushRef(val); return val; }
+        val = [];
+      }
       else if (g === 0x80) val = type === T.MAP ? new Map() : new Set();
       else val = {};
       this._pushRef(val);
-      this._rFill(val, type, g);
+      if (this._rNest >= this._deepAt) this._rDeep(val, this.pos - 1, () => this._rFill(val, type, g));
+      else { this._rNest++; this._rFill(val, type, g); this._rNest--; }
       return val;
     }
 
-    // Typed arrays (0x60)
-    if (g === 0x60) { const v = this._rTypedArr(type); this._pushRef(v); return v; }
-    // Buffers (0x70)
-    if (g === 0x70) { const v = this._rArrayBuf(type); this._pushBuf(v); return v; }
+    // Typed arrays (0x60) register themselves, then their buffer
+    if (type === T.TYPED_SUBCLASS) return this._rTypedSub();
+    if (g === 0x60) return this._rTypedArr(type);
+    // Buffers (0x70): before v9 also in the buffer table
+    if (g === 0x70) { const v = this._rArrayBuf(type); this._pushRef(v); if (!this._v9) this._pushBuf(v); return v; }
     // Date (0x90)
-    if (g === 0x90) { if (type === T.DATE_INVALID) return new Date(NaN); const t = this.view.getFloat64(this.pos, true); this.pos += 8; return new Date(t); }
+    if (g === 0x90) {
+      let t = NaN;
+      if (type !== T.DATE_INVALID) { if (this._strict) this._need(8); t = this.view.getFloat64(this.pos, true); this.pos += 8; }
+      const d = new Date(t);
+      this._pushRef(d);
+      return d;
+    }
     // Error (0xA0)
+    if (type === T.ERROR_FULL) return this._rErrorFull();
     if (g === 0xA0) return this._rError(type);
-    // RegExp (0xB0)
-    if (g === 0xB0) { return new RegExp(this.readValue(), this.readValue()); }
+    // RegExp, other built-ins (0xB0)
+    if (type === T.REGEXP) { const re = new RegExp(this.readValue(), this.readValue()); this._pushRef(re); return re; }
+    if (g === 0xB0) { const v = this._rBuiltin(type); this._pushRef(v); return v; }
     // Binary (0xC0)
-    if (g === 0xC0) { this._rV(); this._rV(); return { _type: "Binary" }; }
+    if (g === 0xC0) { const v = this._rBlob(type); this._pushRef(v); return v; }
     // Special / Symbol (0xE0)
     if (g === 0xE0) return this._rSpecial(type);
     // Extension (0xF0)
     if (g === 0xF0) return this.options.allowFunction ? function(){throw new Error("Function not serialized")} : undefined;
 
-    throw new Error(`Unknown type: 0x${type.toString(16)}`);
+    throw new TurboSerialDecodeError(`Unknown type: 0x${type.toString(16)}`, this.pos - 1);
   }
 
   // ── Read: varint ──────────────────────────────────────────────────
 
   _rV() {
+    if (this._strict) return this._rVChecked();
     let p = this.pos, byte = this.buffer[p++]; // FIX: was this.buf
     if (!(byte & 0x80)) { this.pos = p; return byte; }
     let val = byte & 0x7F, shift = 7;
-    do { byte = this.buffer[p++]; val |= (byte & 0x7F) << shift; shift += 7; } while (byte & 0x80); // FIX: was this.buf
+    do { byte = this.buffer[p++]; val |= (byte & 0x7F) << shift; shift += 7; } while (byte & 0x80 && shift < 28); // FIX: was this.buf
+    // Beyond 28 bits, continue in floating point (exact up to 2^53)
+    for (let mul = 0x10000000; byte & 0x80; mul *= 128) { byte = this.buffer[p++]; val += (byte & 0x7F) * mul; }
     this.pos = p;
-    return val >>> 0;
+    return val;
+  }
+
+  _rVChecked() {
+    let val = 0, mul = 1, byte;
+    do {
+      if (mul > 0x2000000000000) this._fail("Varint too long"); // 8 bytes cover 53 bits
+      this._need(1);
+      byte = this.buffer[this.pos++];
+      val += (byte & 0x7F) * mul; mul *= 128;
+    } while (byte & 0x80);
+    if (val > Number.MAX_SAFE_INTEGER) this._fail("Varint exceeds 2^53 - 1");
+    return val;
+  }
+
+  _rZigzag() {
+    if (this._strict) this._need(1);
+    const b0 = this.buffer[this.pos++];
+    let q = (b0 >> 1) & 63;
+    if (b0 & 0x80) q += this._rV() * 64;
+    if (this._strict && q > Number.MAX_SAFE_INTEGER - (b0 & 1)) this._fail("Integer exceeds 2^53 - 1");
+    return b0 & 1 ? -q - 1 : q;
   }
 
   // ── Read: fill containers ─────────────────────────────────────────
@@ -791,18 +2378,125 @@ class TurboSerial {
   _rFill(val, type, g) {
     if (g === 0x40) { // Array
       if (type === T.ARRAY_EMPTY) return;
-      if (type === T.ARRAY_DENSE) { const n = this._rV(); for (let i = 0; i < n; i++) val[i] = this.readValue(); }
-      else if (type === T.ARRAY_SPARSE) { val.length = this._rV(); const c = this._rV(); for (let i = 0; i < c; i++) val[this._rV()] = this.readValue(); }
-      else { const d = this._rPacked(type); for (let i = 0; i < d.length; i++) val.push(d[i]); }
+      if (type === T.ARRAY_DENSE) {
+        const n = this._rV();
+        if (this._strict) this._checkLen(n, 1, this.options.maxArrayLength);
+        if (this._defer === val) { this._later(K_VALS, val, null, n, 0, false); return; }
+        for (let i = 0; i < n; i++) val[i] = this.readValue();
+      }
+      else if (type === T.ARRAY_SPARSE) {
+        if (this._strict) { this._rSparseChecked(val); return; }
+        val.length = this._rV(); const c = this._rV();
+        if (this._defer === val) { this._later(K_SPARSE, val, null, c, Infinity, false); return; }
+        for (let i = 0; i < c; i++) val[this._rV()] = this.readValue();
+      }
+      else if (type === T.ARRAY_SHAPED || type === T.ARRAY_COLUMNAR) this._rShaped(val, type);
+      else this._rPacked(val, type);
     } else if (g === 0x50) { // Object
       this.fillObject(val, type);
     } else if (g === 0x80) { // Collection
       const sz = this._rV();
+      if (this._strict) this._checkLen(sz, type === T.MAP ? 2 : 1, this.options.maxArrayLength);
+      if (this._defer === val) { this._later(type === T.MAP ? K_ENTRIES : K_VALS, val, null, sz, 0, false); return; }
       if (type === T.MAP) { for (let i = 0; i < sz; i++) val.set(this.readValue(), this.readValue()); }
       else { for (let i = 0; i < sz; i++) val.add(this.readValue()); }
     }
   }
 
+  // Records are clones of one template holding every key, so they share a
+  // single hidden class and values only overwrite existing fields
+  _rShaped(arr, type) {
+    const n = this._rV(), k = this._rV();
+    if (this._strict) {
+      if (k === 0) this._fail("Shaped array without keys");
+      this._checkLen(k, type === T.ARRAY_SHAPED ? 1 : 2, Infinity);
+      this._checkLen(n, type === T.ARRAY_SHAPED ? k : 0, this.options.maxArrayLength);
+    }
+    const keys = new Array(k), tpl = {};
+    for (let j = 0; j < k; j++) { keys[j] = this._rKey(); tpl[keys[j]] = undefined; }
+    for (let i = 0; i < n; i++) { const o = { ...tpl }; this._pushRef(o); arr[i] = o; }
+    if (type === T.ARRAY_SHAPED) {
+      if (this._defer === arr) { this._later(K_ROWS, arr, keys, n * k, 0, false); return; }
+      for (let i = 0; i < n; i++) { const o = arr[i]; for (let j = 0; j < k; j++) o[keys[j]] = this.readValue(); }
+      return;
+    }
+    for (let j = 0; j < k; j++) {
+      const col = this.readValue(), key = keys[j];
+      if (!Array.isArray(col) || col.length !== n) throw new TurboSerialDecodeError(`Column ${key} does not have ${n} entries`, this.pos);
+      for (let i = 0; i < n; i++) arr[i][key] = col[i];
+    }
+  }
+
+  _rSparseChecked(val) {
+    const len = this._rV(), c = this._rV();
+    if (len > this.options.maxArrayLength) this._fail(`Length ${len} exceeds limit of ${this.options.maxArrayLength}`);
+    this._checkLen(c, 2, len);
+    val.length = len;
+    if (this._defer === val) { this._later(K_SPARSE, val, null, c, len, false); return; }
+    for (let i = 0; i < c; i++) {
+      const idx = this._rV();
+      if (idx >= len) this._fail(`Sparse index ${idx} out of range`);
+      val[idx] = this.readValue();
+    }
+  }
+
+  // ── Read: explicit stack ──────────────────────────────────────────
+
+  // Past iterativeDepth, containers fill here: _defer makes their entry loops
+  // queue frames (_later), then the stack reads one entry at a time. An entry
+  // that is a container itself (the value at _deferAt) is returned while
+  // still empty and its frames go on top, so it fills before the next entry.
+  // Strict depth is tracked per frame.
+  _rDeep(val, at, fill) {
+    const own = this._deferAt === at, q = this._deepQ, d = this._defer;
+    this._deepQ = []; this._defer = val;
+    fill();
+    const fr = this._deepQ;
+    this._deepQ = q; this._defer = d;
+    const stack = own ? this._deepStack : [];
+    for (let j = fr.length - 1; j >= 0; j--) stack.push(fr[j]);
+    if (own) return;
+    const outer = this._deepStack, depth = this._depth;
+    this._deepStack = stack;
+    this._rRun(stack, Infinity);
+    this._deepStack = outer; this._depth = depth;
+  }
+
+  // K_DONE hook: the value that started at `at` is complete
+  _readThrough(at) {}
+
+  // Reads frames until the stack is empty (true) or the clock passes `until` (false)
+  _rRun(stack, until) {
+    for (let n = 1; stack.length !== 0; n++) {
+      if ((n & 63) === 0 && until !== Infinity && performance.now() >= until) return false;
+      const f = stack[stack.length - 1];
+      if (f.c) { f.c = false; f.n = this._rV(); if (this._strict) this._checkLen(f.n, 2, Infinity); }
+      if (f.i === f.n) {
+        stack.pop();
+        if (f.t === K_END) f.o[ctorSymbol] = f.a;
+        else if (f.t === K_DONE) this._readThrough(f.x);
+        continue;
+      }
+      const i = f.i++, t = f.t;
+      this._depth = f.d;
+      let k;
+      if (t === K_PAIRS) k = this._rKey();
+      else if (t === K_ENTRIES) k = this.readValue();
+      else if (t === K_SPARSE) { k = this._rV(); if (this._strict && k >= f.x) this._fail(`Sparse index ${k} out of range`); }
+      this._deferAt = this.pos;
+      const v = this.readValue();
+      this._deferAt = -1;
+      if (t === K_VALS) { if (Array.isArray(f.o)) f.o[i] = v; else f.o.add(v); }
+      else if (t === K_ROWS) { const k = f.a.length, r = (i / k) | 0; f.o[r][f.a[i - r * k]] = v; }
+      else if (t === K_ENTRIES) f.o.set(k, v);
+      else if (t === K_FIELDS) hide(f.o, f.a[i], v);
+      else if (t === K_PAIRS && f.x === 2) Object.defineProperty(f.o, k, { value: v, writable: true, enumerable: true, configurable: true });
+      else if (t === K_PAIRS && f.x) hide(f.o, k, v);
+      else f.o[k] = v;
+    }
+    return true;
+  }
+
   // Opt 8: Split fillObject into monomorphic sub-functions to prevent megamorphic IC
   fillObject(obj, type) {
     if (type === T.OBJECT_EMPTY) return;
@@ -813,13 +2507,18 @@ class TurboSerial {
   }
 
   _fillLiteralObj(obj) {
-    const n = this._rV(); for (let i = 0; i < n; i++) obj[this.readValue()] = this.readValue();
+    const n = this._rV();
+    if (this._strict) this._checkLen(n, 2, Infinity);
+    if (this._defer === obj) { this._later(K_PAIRS, obj, null, n, 0, false); return; }
+    for (let i = 0; i < n; i++) obj[this._rKey()] = this.readValue();
   }
 
   _fillDescriptorObj(obj) {
     const n = this._rV();
+    if (this._strict) this._checkLen(n, 3, Infinity);
     for (let i = 0; i < n; i++) {
-      const key = this.readValue();
+      const key = this._rKey();
+      if (this._strict) this._need(1);
       const flags = this.buffer[this.pos++];
       const desc = { enumerable: !!(flags & 1), writable: !!(flags & 2), configurable: !!(flags & 4) };
       if (flags & 8 || flags & 16) {
@@ -832,8 +2531,10 @@ class TurboSerial {
 
   _fillMethodObj(obj) {
     const n = this._rV();
+    if (this._strict) this._checkLen(n, 3, Infinity);
     for (let i = 0; i < n; i++) {
-      const key = this.readValue();
+      const key = this._rKey();
+      if (this._strict) this._need(2);
       const isFunc = this.buffer[this.pos++];
       if (isFunc) {
         if (this.options.allowFunction && this.options.serializeFunctions) {
@@ -849,17 +2550,115 @@ class TurboSerial {
     }
   }
 
+  // Container (registered before it's filled), then its enumerable and
+  // non-enumerable properties
+  _rWithProps() {
+    if (this._strict) this._need(1);
+    const type = this.buffer[this.pos++], g = type & GM;
+    if ((g !== 0x40 && g !== 0x50 && g !== 0x80) || (g === 0x50 && type >= T.OBJECT_REGISTERED) || KNOWN_TYPES[type] === 0) {
+      this._fail("Bad property wrapper");
+    }
+    const val = g === 0x40 ? [] : g === 0x50 ? {} : type === T.MAP ? new Map() : new Set();
+    this._pushRef(val);
+    if (this._rNest >= this._deepAt) this._rDeep(val, this.pos - 2, () => { this._rFill(val, type, g); this._rProps(val); });
+    else { this._rNest++; this._rFill(val, type, g); this._rProps(val); this._rNest--; }
+    return val;
+  }
+
+  _rProps(val) {
+    for (let hidden = 0; hidden < 2; hidden++) {
+      if (this._defer === val) { this._later(K_PAIRS, val, null, 0, hidden, true); continue; }
+      const n = this._rV();
+      if (this._strict) this._checkLen(n, 2, Infinity);
+      for (let i = 0; i < n; i++) {
+        const k = this._rKey(), v = this.readValue();
+        if (hidden) hide(val, k, v); else val[k] = v;
+      }
+    }
+  }
+
   // Opt 9: Use Symbol instead of Object.defineProperty to avoid dictionary mode
   _fillConstructorObj(obj) {
-    const ctorName = this.readValue();
+    this._rEntries(obj, true, this.readValue());
+  }
+
+  // Own key/value pairs, then the constructor name when `tagged`
+  _rEntries(obj, tagged, tag) {
     const n = this._rV();
-    for (let i = 0; i < n; i++) obj[this.readValue()] = this.readValue();
-    obj[ctorSymbol] = ctorName;
+    if (this._strict) this._checkLen(n, 2, Infinity);
+    if (this._defer === obj) {
+      this._later(K_PAIRS, obj, null, n, 0, false);
+      if (tagged) this._later(K_END, obj, tag, 0, 0, false);
+      return;
+    }
+    for (let i = 0; i < n; i++) obj[this._rKey()] = this.readValue();
+    if (tagged) obj[ctorSymbol] = tag;
+  }
+
+  // Registered classes rebuild through their prototype (or decode hook);
+  // unknown tags fall back to a plain object tagged with ctorSymbol.
+  _rRegisteredObj() {
+    const at = this.pos - 1, tag = this.readValue();
+    const entry = this._classForTag(tag);
+    if (this._strict) this._need(1);
+    const mode = this.buffer[this.pos++];
+    if (mode === 0) {
+      const obj = entry !== undefined ? Object.create(entry.Class.prototype) : {};
+      this._pushRef(obj);
+      if (this._rNest >= this._deepAt) this._rDeep(obj, at, () => this._rEntries(obj, entry === undefined, tag));
+      else { this._rNest++; this._rEntries(obj, entry === undefined, tag); this._rNest--; }
+      return obj;
+    }
+    // Hook payload: a blank instance holds the ref slot while the payload is
+    // read, and decode(data, target) fills it in. Returning another object
+    // is fine unless the payload pointed back at the instance.
+    const slot = this._reserveRef();
+    const target = entry !== undefined ? Object.create(entry.Class.prototype) : {};
+    this.deserializeRefs[slot] = target;
+    const hooked = this._hooked || (this._hooked = new Map());
+    hooked.set(target, false);
+    const data = this.readValue();
+    const reached = hooked.get(target);
+    hooked.delete(target);
+    let obj;
+    if (entry !== undefined && entry.decode) obj = entry.decode(data, target);
+    else if (data === null || typeof data !== "object") obj = data;
+    else { obj = Object.assign(target, data); if (entry === undefined) obj[ctorSymbol] = tag; }
+    if (obj !== target && reached) {
+      throw new TypeError(`decode() for "${tag}" must return its target argument: the payload refers back to the instance`);
+    }
+    this.deserializeRefs[slot] = obj;
+    return obj;
+  }
+
+  // Unknown ids go to options.unknownExtension(id, data) when given,
+  // otherwise decode to a { _type: "Extension", id, data } placeholder.
+  _rExtension() {
+    const id = this._rV();
+    const slot = this._reserveRef();
+    let data;
+    if (this._strict) this._need(1);
+    if (this.buffer[this.pos++] === 0) {
+      const len = this._rV();
+      if (this._strict) this._checkLen(len, 1, this.options.maxBytes);
+      data = this.buffer.slice(this.pos, this.pos + len);
+      this.pos += len;
+    } else {
+      data = this.readValue();
+    }
+    const ext = this.extensions.byId.get(id) || SHARED_EXTENSIONS.byId.get(id);
+    let val;
+    if (ext !== undefined) val = ext.decode(data);
+    else if (typeof this.options.unknownExtension === "function") val = this.options.unknownExtension(id, data);
+    else val = { _type: "Extension", id, data };
+    this.deserializeRefs[slot] = val;
+    return val;
   }
 
   // ── Read: numbers ─────────────────────────────────────────────────
 
   _rNum(type) {
+    if (this._strict && type <= T.FLOAT64) this._need(type === T.INT8 ? 1 : type === T.INT16 ? 2 : type === T.FLOAT64 ? 8 : 4);
     let p = this.pos, v;
     switch (type) {
       case T.INT8: v = (this.buffer[p] << 24) >> 24; this.pos = p+1; return v;
@@ -872,18 +2671,22 @@ class TurboSerial {
       case T.INFINITY: return Infinity;
       case T.NEG_INFINITY: return -Infinity;
       case T.NEG_ZERO: return -0;
-      case T.VARINT: v = this._rV(); return this.buffer[this.pos++] ? -v : v; // FIX: was this.buf
+      case T.VARINT: v = this._rV(); if (this._strict) this._need(1); return this.buffer[this.pos++] ? -v : v; // FIX: was this.buf
+      case T.VARINT_ZIGZAG: return this._rZigzag();
     }
+    throw new TurboSerialDecodeError(`Unknown type: 0x${type.toString(16)}`, p - 1);
   }
 
   // ── Read: bigint ──────────────────────────────────────────────────
 
   _rBigInt(type) {
     if (type === T.BIGINT_POS_SMALL || type === T.BIGINT_NEG_SMALL) {
+      if (this._strict) this._need(8);
       const v = this.view.getBigInt64(this.pos, true); this.pos += 8; return v;
     }
     const neg = type === T.BIGINT_NEG_LARGE;
     const len = this._rV(); let hex = "";
+    if (this._strict) this._checkLen(len, 1, Infinity);
     for (let i = len - 1; i >= 0; i--) hex += this.buffer[this.pos + i].toString(16).padStart(2, "0");
     this.pos += len;
     const v = BigInt("0x" + (hex || "0"));
@@ -898,8 +2701,10 @@ class TurboSerial {
     let len;
     if (type === T.STRING_ASCII_TINY || type === T.STRING_ASCII_SHORT ||
         type === T.STRING_UTF8_TINY || type === T.STRING_UTF8_SHORT) {
+      if (this._strict) this._need(1);
       len = this.buffer[this.pos++]; // FIX: was this.buf
     } else { len = this._rV(); }
+    if (this._strict) this._checkLen(len, 1, this.options.maxStringLength);
 
     let str;
     const isAsc = type === T.STRING_ASCII_TINY || type === T.STRING_ASCII_SHORT || type === T.STRING_ASCII_LONG;
@@ -916,74 +2721,1453 @@ class TurboSerial {
 
   // ── Read: packed arrays ───────────────────────────────────────────
 
-  _rPacked(type) {
-    const len = this._rV(), arr = new Array(len);
+  _rPackedLen(type) {
+    const len = this._rV();
+    if (this._strict) {
+      // Runs and deltas check their own payload; a bitset packs 8 per byte
+      this._checkLen(len, 0, this.options.maxArrayLength);
+      this._need(BPE[type] !== undefined ? len * BPE[type] : type === T.ARRAY_BITSET ? Math.ceil(len / 8) : 0);
+    }
+    return len;
+  }
+
+  // Fills the (registered, empty) array in order, so it stays a packed
+  // elements kind instead of going through a temporary array
+  _rPacked(arr, type) {
+    const len = this._rPackedLen(type), b = this.buffer, dv = this.view;
     let p = this.pos;
     switch (type) {
-      case T.ARRAY_PACKED_I8:  for (let i=0;i<len;i++) arr[i] = (this.buffer[p++]<<24)>>24; break;
-      case T.ARRAY_PACKED_I16: for (let i=0;i<len;i++) { arr[i] = this.view.getInt16(p,true); p+=2; } break;
-      case T.ARRAY_PACKED_I32: for (let i=0;i<len;i++) { arr[i] = this.view.getInt32(p,true); p+=4; } break;
-      case T.ARRAY_PACKED_F32: for (let i=0;i<len;i++) { arr[i] = this.view.getFloat32(p,true); p+=4; } break;
-      case T.ARRAY_PACKED_F64: for (let i=0;i<len;i++) { arr[i] = this.view.getFloat64(p,true); p+=8; } break;
+      case T.ARRAY_PACKED_I8:  for (let i=0;i<len;i++) arr[i] = (b[p++]<<24)>>24; break;
+      case T.ARRAY_PACKED_U8:  for (let i=0;i<len;i++) arr[i] = b[p++]; break;
+      case T.ARRAY_PACKED_I16: for (let i=0;i<len;i++) { arr[i] = dv.getInt16(p,true); p+=2; } break;
+      case T.ARRAY_PACKED_U16: for (let i=0;i<len;i++) { arr[i] = dv.getUint16(p,true); p+=2; } break;
+      case T.ARRAY_PACKED_I32: for (let i=0;i<len;i++) { arr[i] = dv.getInt32(p,true); p+=4; } break;
+      case T.ARRAY_PACKED_U32: for (let i=0;i<len;i++) { arr[i] = dv.getUint32(p,true); p+=4; } break;
+      case T.ARRAY_PACKED_F32: for (let i=0;i<len;i++) { arr[i] = dv.getFloat32(p,true); p+=4; } break;
+      case T.ARRAY_PACKED_F64: for (let i=0;i<len;i++) { arr[i] = dv.getFloat64(p,true); p+=8; } break;
+      case T.ARRAY_BITSET: for (let i=0;i<len;i++) arr[i] = ((b[p + (i >> 3)] >> (i & 7)) & 1) === 1; p += Math.ceil(len / 8); break;
+      case T.ARRAY_DELTA: this._rDelta(arr, len); return;
+      case T.ARRAY_RLE: this._rRuns(arr, len); return;
+    }
+    this.pos = p;
+  }
+
+  // packedArraysAs: 'typed' — fixed-width forms keep their element type,
+  // delta and run-length forms decode to Float64Array. Under zeroCopy an
+  // aligned body is viewed in place, otherwise it is copied.
+  _rPackedTyped(type) {
+    const len = this._rPackedLen(type), C = PCTOR[type];
+    if (type === T.ARRAY_DELTA || type === T.ARRAY_RLE) {
+      const out = new C(len);
+      if (type === T.ARRAY_DELTA) this._rDelta(out, len); else this._rRuns(out, len);
+      return out;
+    }
+    const es = BPE[type], at = this.buffer.byteOffset + this.pos;
+    this.pos += len * es;
+    if (this.options.zeroCopy && at % es === 0) return new C(this.buffer.buffer, at, len);
+    return new C(this.buffer.buffer.slice(at, at + len * es));
+  }
+
+  _rDelta(arr, len) {
+    const bytes = this._rV();
+    if (this._strict) { this._checkLen(len, 0, bytes); this._need(bytes); }
+    const end = this.pos + bytes;
+    for (let i = 0, v = 0; i < len; i++) arr[i] = v += this._rZigzag();
+    if (this.pos !== end) this._fail("Delta array length mismatch");
+  }
+
+  _rRuns(arr, len) {
+    const runs = this._rV();
+    if (this._strict) this._checkLen(runs, 2, len);
+    let at = 0;
+    for (let r = 0; r < runs; r++) {
+      const n = this._rV(), v = this.readValue();
+      if (typeof v !== "number" || n > len - at) this._fail("Bad run in run-length array");
+      for (const e = at + n; at < e; at++) arr[at] = v;
     }
-    this.pos = p; return arr;
+    if (at !== len) this._fail("Run-length array length mismatch");
   }
 
   // ── Read: typed arrays ────────────────────────────────────────────
 
   _rTypedArr(type) {
+    if (this._strict) this._need(1);
     const shared = this.buffer[this.pos++]; // FIX: was this.buf
-    if (shared) {
-      const bid = this._rV(), bo = this._rV(), len = this._rV();
-      return new (TCTOR[type])(this.deserializeBuffers[bid], bo, len);
+    if (shared === 1) {
+      const bid = this._rV(), bo = this._rV(), len = this._rV(), es = BPE[type] || 1;
+      let ab = this._bufAt(bid), v;
+      // (also rejects v9 ids of entries that aren't buffers)
+      if (this._strict && (ab === undefined || !(bo + len * es <= ab.byteLength))) this._fail("Shared buffer view out of range");
+      if (ArrayBuffer.isView(ab)) {
+        // Body of a zero-copy view: share the input too when alignment allows
+        const at = ab.byteOffset + bo;
+        if (at % es === 0 && bo + len * es <= ab.byteLength) v = mkView(type, ab.buffer, at, len);
+        else ab = this._ownBuf(ab);
+      }
+      if (v === undefined) v = mkView(type, ab, bo, len);
+      this._pushRef(v);
+      return v;
+    }
+    if (this._strict && (shared & ~14) !== 0) this._fail("Bad typed array flags");
+    const bo = this._rV(), len = this._rV(), es = BPE[type] || 1, reg = (shared & 4) === 0;
+    if (shared & 8) { // body is an out-of-band buffer (deserialize opts.buffers)
+      const ab = this._oobAt(this._rV()), v = mkView(type, ab, bo, len);
+      this._pushRef(v);
+      if (reg) this._regBuf(ab, v);
+      return v;
     }
-    const bo = this._rV(), len = this._rV(), es = BPE[type] || 1;
+    if (shared & 2) { // alignment padding
+      if (this._strict) { this._need(1); if (this.buffer[this.pos] > 7) this._fail("Bad typed array padding"); }
+      this.pos += 1 + this.buffer[this.pos];
+    }
+    if (this._strict) this._checkLen(len, es, this.options.maxArrayLength);
     if (type === T.BIGINT64ARRAY || type === T.BIGUINT64ARRAY) {
       const vals = [];
       for (let i = 0; i < len; i++) { vals.push(this.view.getBigInt64(this.pos, true)); this.pos += 8; }
-      return new (TCTOR[type])(vals);
+      const v = new (TCTOR[type])(vals);
+      this._pushRef(v);
+      if (reg) this._regBuf(v.buffer, v);
+      return v;
     }
     const tb = len * es;
+    if (this.options.zeroCopy) {
+      const at = this.buffer.byteOffset + this.pos;
+      if (at % es === 0) {
+        // View over the input; its buffer entry is a stand-in until an ArrayBuffer is needed
+        const v = mkView(type, this.buffer.buffer, at, len);
+        this.pos += tb;
+        this._pushRef(v);
+        if (reg) this._regBuf(null, v);
+        return v;
+      }
+    }
     const ab = new ArrayBuffer(tb);
     new Uint8Array(ab).set(this.buffer.subarray(this.pos, this.pos + tb));
     this.pos += tb;
-    this._pushBuf(ab);
-    return new (TCTOR[type])(ab, 0, len);
+    const v = mkView(type, ab, 0, len);
+    this._pushRef(v);
+    if (reg) this._regBuf(ab, v);
+    return v;
+  }
+
+  // Registers a view's buffer: the ref after the view's (v9) or the buffer
+  // table entry. Zero-copy views (ab null) register a stand-in over their bytes.
+  _regBuf(ab, view) {
+    if (!this._v9) { this._pushBuf(ab !== null ? ab : view); return; }
+    if (ab !== null) { this._pushRef(ab); return; }
+    const dv = new DataView(view.buffer, view.byteOffset, view.byteLength), slot = this._reserveRef();
+    this.deserializeRefs[slot] = dv;
+    (this._zc || (this._zc = new Map())).set(dv, slot);
+  }
+
+  _rTypedSub() {
+    const tag = this.readValue();
+    if (this._strict) this._need(1);
+    const t = this.buffer[this.pos++];
+    if ((t & GM) !== 0x60 || BPE[t] === undefined) this._fail("Bad typed array subclass");
+    const v = this._rTypedArr(t), entry = this._classForTag(tag);
+    if (entry !== undefined && entry.Class.prototype instanceof v.constructor) Object.setPrototypeOf(v, entry.Class.prototype);
+    return v;
+  }
+
+  _bufAt(bid) { return this._v9 ? this.deserializeRefs[bid] : this.deserializeBuffers[bid]; }
+
+  // Replaces a zero-copy buffer entry by its own ArrayBuffer
+  _ownBuf(view) {
+    const ab = view.buffer.slice(view.byteOffset, view.byteOffset + view.byteLength);
+    if (this._v9) { this.deserializeRefs[this._zc.get(view)] = ab; this._zc.delete(view); }
+    else this.deserializeBuffers[this.deserializeBuffers.indexOf(view)] = ab;
+    return ab;
+  }
+
+  // ── Read: boxed primitives, URL, URLSearchParams, Headers ──────────
+
+  _rBuiltin(type) {
+    if (type === T.HEADERS) {
+      const n = this._rV(), h = new Headers();
+      if (this._strict) this._checkLen(n, 2, this.options.maxArrayLength);
+      for (let i = 0; i < n; i++) h.append(this.readValue(), this.readValue());
+      return h;
+    }
+    const v = this.readValue();
+    if (type === T.BOXED) {
+      if (this._strict && (v === null || v === undefined || typeof v === "object" || typeof v === "function")) this._fail("Bad boxed primitive");
+      return Object(v);
+    }
+    if (this._strict && typeof v !== "string") this._fail("Bad URL");
+    if (type === T.URL) return new URL(v);
+    if (type === T.URL_SEARCH_PARAMS) return new URLSearchParams(v);
+    throw new TurboSerialDecodeError(`Unknown type: 0x${type.toString(16)}`, this.pos - 1);
+  }
+
+  // ── Read: Blob / File ─────────────────────────────────────────────
+
+  _rBlob(type) {
+    const size = this._rV(), flags = this._rV();
+    if (this._strict && flags > 1) this._fail("Bad Blob flags");
+    if (flags === 0) return { _type: "Binary" }; // written without its contents
+    if (this._strict) this._checkLen(size, 1, this.options.maxBytes);
+    const bytes = this.buffer.slice(this.pos, this.pos + size);
+    this.pos += size;
+    const mime = this.readValue();
+    if (type === T.FILE) {
+      const name = this.readValue(), lastModified = this.readValue();
+      if (this._strict && (typeof mime !== "string" || typeof name !== "string" || typeof lastModified !== "number")) this._fail("Bad File");
+      return new File([bytes], name, { type: mime, lastModified });
+    }
+    if (this._strict && typeof mime !== "string") this._fail("Bad Blob");
+    return new Blob([bytes], { type: mime });
   }
 
   // ── Read: ArrayBuffer ─────────────────────────────────────────────
 
   _rArrayBuf(type) {
+    if (type === T.BUFFER_OOB) return this._oobAt(this._rV());
     const len = this._rV();
+    if (this._strict) this._checkLen(len, 1, this.options.maxBytes);
     const buf = this.buffer.buffer.slice(this.buffer.byteOffset + this.pos, this.buffer.byteOffset + this.pos + len);
     this.pos += len;
     return buf;
   }
 
+  // Buffer `i` of the opts.buffers given to deserialize()
+  _oobAt(i) {
+    const b = this._oob !== null ? this._oob[i] : undefined;
+    if (b === undefined) throw new TurboSerialDecodeError(`Out-of-band buffer ${i} was not provided`, this.pos);
+    return b;
+  }
+
   // ── Read: errors ──────────────────────────────────────────────────
 
   _rError(type) {
+    const slot = this._reserveRef(); // before the errors of an AggregateError
     const msg = this.readValue(), stack = this.readValue();
     let err;
     if (type === T.AGGREGATE_ERROR) {
       const n = this._rV(), errs = [];
+      if (this._strict) this._checkLen(n, 1, this.options.maxArrayLength);
       for (let i = 0; i < n; i++) errs.push(this.readValue());
       err = new AggregateError(errs, msg);
     } else { err = new (ERR_CTORS[type] || Error)(msg); }
     if (stack) err.stack = stack;
+    this.deserializeRefs[slot] = err;
     return err;
   }
 
+  _rErrorFull() {
+    const at = this.pos - 1;
+    if (this._strict) this._need(2);
+    const base = this.buffer[this.pos++], flags = this.buffer[this.pos++];
+    const tag = flags & EF_TAG ? this.readValue() : undefined;
+    const message = this.readValue();
+    const name = flags & EF_NAME ? this.readValue() : undefined;
+    const stack = flags & EF_STACK ? this.readValue() : undefined;
+    if (this._strict && (ERR_BASES[base] === undefined || flags > 31 || typeof message !== "string"
+      || !(tag === undefined || typeof tag === "string") || !(name === undefined || typeof name === "string")
+      || !(stack === undefined || typeof stack === "string"))) this._fail("Bad error");
+    const Base = ERR_BASES[base] || Error, entry = tag !== undefined ? this._classForTag(tag) : undefined;
+    const args = Base === AggregateError ? [[], message] : base === EB_DOM ? [message, name] : [message];
+    // Registered subclasses get their prototype without running their constructor
+    const err = entry !== undefined && entry.Class.prototype instanceof Base ? Reflect.construct(Base, args, entry.Class) : new Base(...args);
+    this._pushRef(err); // before cause/errors/props, which may point back at it
+    if (name !== undefined && err.name !== name) hide(err, "name", name);
+    // Without a stack in the message, only the header line stays
+    err.stack = stack !== undefined ? stack : `${err.name}: ${message}`;
+    if (this._rNest >= this._deepAt) this._rDeep(err, at, () => this._rErrorRest(err, flags));
+    else { this._rNest++; this._rErrorRest(err, flags); this._rNest--; }
+    return err;
+  }
+
+  // cause, errors and own props; past iterativeDepth as frames (own props: x 2)
+  _rErrorRest(err, flags) {
+    if (this._defer === err) {
+      const ks = flags & EF_CAUSE ? (flags & EF_ERRORS ? ["cause", "errors"] : ["cause"]) : flags & EF_ERRORS ? ["errors"] : null;
+      if (ks !== null) this._later(K_FIELDS, err, ks, ks.length, null, false);
+      this._later(K_PAIRS, err, null, 0, 2, true);
+      return;
+    }
+    if (flags & EF_CAUSE) hide(err, "cause", this.readValue());
+    if (flags & EF_ERRORS) hide(err, "errors", this.readValue());
+    const n = this._rV();
+    if (this._strict) this._checkLen(n, 2, Infinity);
+    for (let i = 0; i < n; i++) {
+      const k = this._rKey();
+      Object.defineProperty(err, k, { value: this.readValue(), writable: true, enumerable: true, configurable: true });
+    }
+  }
+
   // ── Read: symbols ─────────────────────────────────────────────────
 
   _rSpecial(type) {
-    if (type === T.SYMBOL) return Symbol(this.readValue());
-    if (type === T.SYMBOL_NO_DESC) return Symbol();
+    if (type === T.SYMBOL || type === T.SYMBOL_NO_DESC) {
+      const s = type === T.SYMBOL ? Symbol(this.readValue()) : Symbol();
+      if (this._v9) this._pushRef(s); // v9 refers back to local symbols
+      return s;
+    }
     if (type === T.SYMBOL_GLOBAL) return Symbol.for(this.readValue());
     if (type === T.SYMBOL_WELLKNOWN) return WELLKNOWN_BY_NAME.get(this.readValue()) || Symbol();
-    throw new Error(`Unknown special type: 0x${type.toString(16)}`);
+    throw new TurboSerialDecodeError(`Unknown special type: 0x${type.toString(16)}`, this.pos - 1);
+  }
+}
+
+// ── Resumable value scanner ───────────────────────────────────────────
+// Walks encoded values without materializing them. Each step consumes one
+// atomic unit (a scalar, or a container header) or nothing at all, so the
+// scan can stop at a chunk boundary and resume once more bytes arrive.
+// Pending work is a flat stack of [op, remaining] pairs.
+const S_VAL = 0;       // `remaining` values
+const S_DESC = 1;      // descriptor entries: key, flags byte, 1–2 values
+const S_DESC_TAIL = 2; // flags byte of a descriptor entry
+const S_METH = 3;      // method entries: key, flag byte, value(s)
+const S_METH_TAIL = 4; // flag byte of a method entry
+const S_SPARSE = 5;    // sparse entries: varint index, value
+const S_CTOR_TAIL = 6; // varint count + pairs after a constructor name
+const S_REG_TAIL = 7;  // mode byte (+ pairs or payload) after a class tag
+const S_ERR_TAIL = 8;  // varint count + errors after an AggregateError's stack
+
+// Scalars with a fixed size: bytes following the type byte, -1 otherwise
+const SCAN_FIXED = new Int8Array(256).fill(-1);
+for (const [t, n] of [
+  [T.NULL,0],[T.UNDEFINED,0],[T.FALSE,0],[T.TRUE,0],
+  [T.INT8,1],[T.INT16,2],[T.INT32,4],[T.UINT32,4],[T.FLOAT32,4],[T.FLOAT64,8],
+  [T.NAN,0],[T.INFINITY,0],[T.NEG_INFINITY,0],[T.NEG_ZERO,0],
+  [T.BIGINT_POS_SMALL,8],[T.BIGINT_NEG_SMALL,8],[T.STRING_EMPTY,0],
+  [T.ARRAY_EMPTY,0],[T.OBJECT_EMPTY,0],[T.DATE,8],[T.DATE_INVALID,0],
+  [T.SYMBOL_NO_DESC,0],[T.FUNCTION_PLACEHOLDER,0],
+]) SCAN_FIXED[t] = n;
+
+class ValueScanner {
+  constructor() {
+    this.buf = null;
+    this.pos = 0;
+    this.end = 0;
+    this.stack = [];
+    this.vp = 0; // position after the last varint read by _v()
+    this.tables = null; // reader notified of every walked value (projection)
+  }
+
+  // Expect `n` values starting at `pos`
+  reset(pos, n) {
+    this.pos = pos;
+    this.stack.length = 0;
+    this.stack.push(S_VAL, n);
+  }
+
+  // Returns true once every expected value has been walked, false when
+  // the buffer ran out (pos is left at the start of the incomplete unit)
+  run() {
+    const st = this.stack;
+    while (st.length !== 0) {
+      const top = st.length - 2;
+      if (st[top + 1] === 0) { st.length = top; continue; }
+      const p = this._step(st[top], top);
+      if (p < 0) return false;
+      this.pos = p;
+    }
+    return true;
   }
+
+  // Varint at p (53-bit safe); -1 when incomplete
+  _v(p) {
+    let val = 0, mul = 1, b;
+    do {
+      if (p >= this.end) return -1;
+      if (mul > 0x20000000000000) throw new TurboSerialDecodeError("Varint too long", p);
+      b = this.buf[p++];
+      val += (b & 0x7F) * mul;
+      mul *= 128;
+    } while (b & 0x80);
+    this.vp = p;
+    return val;
+  }
+
+  // Varint length prefix + that many bytes
+  _bytes(top, p, es) {
+    const n = this._v(p);
+    if (n < 0 || this.vp + n * es > this.end) return -1;
+    this.stack[top + 1]--;
+    return this.vp + n * es;
+  }
+
+  // Finish the current unit and queue `n` units of `op`
+  _open(top, op, n, p) {
+    this.stack[top + 1]--;
+    this.stack.push(op, n);
+    return p;
+  }
+
+  _step(op, top) {
+    const b = this.buf, st = this.stack;
+    let p = this.pos, n;
+    if (p >= this.end) return -1;
+    switch (op) {
+      case S_VAL: return this._val(top);
+      case S_DESC: st[top + 1]--; st.push(S_DESC_TAIL, 1, S_VAL, 1); return p;
+      case S_METH: st[top + 1]--; st.push(S_METH_TAIL, 1, S_VAL, 1); return p;
+      case S_DESC_TAIL:
+        n = b[p] & 24 ? ((b[p] & 8) >> 3) + ((b[p] & 16) >> 4) : 1;
+        return this._open(top, S_VAL, n, p + 1);
+      case S_METH_TAIL:
+        if (!b[p]) return this._open(top, S_VAL, 1, p + 1);
+        if (p + 1 >= this.end) return -1;
+        // Function: a placeholder byte, or source + name values
+        if (b[p + 1] === T.FUNCTION_PLACEHOLDER) { st[top + 1]--; return p + 2; }
+        return this._open(top, S_VAL, 2, p + 1);
+      case S_SPARSE:
+        if (this._v(p) < 0) return -1;
+        return this._open(top, S_VAL, 1, this.vp);
+      case S_CTOR_TAIL: case S_ERR_TAIL:
+        if ((n = this._v(p)) < 0) return -1;
+        return this._open(top, S_VAL, op === S_CTOR_TAIL ? 2 * n : n, this.vp);
+      case S_REG_TAIL:
+        if (b[p] !== 0) return this._open(top, S_VAL, 1, p + 1);
+        if ((n = this._v(p + 1)) < 0) return -1;
+        return this._open(top, S_VAL, 2 * n, this.vp);
+    }
+    throw new TurboSerialDecodeError(`Bad scanner state: ${op}`, p);
+  }
+
+  _val(top) {
+    if (this.tables === null) return this._unit(top);
+    const start = this.pos, end = this._unit(top);
+    if (end >= 0) this.tables._skipped(this.buf[start], start, end);
+    return end;
+  }
+
+  _unit(top) {
+    const b = this.buf, st = this.stack, end = this.end;
+    let p = this.pos;
+    const t = b[p++];
+    const f = SCAN_FIXED[t];
+    if (f >= 0) { if (p + f > end) return -1; st[top + 1]--; return p + f; }
+    let n;
+    switch (t) {
+      case T.VARINT:
+        if (this._v(p) < 0 || this.vp >= end) return -1;
+        st[top + 1]--; return this.vp + 1;
+      case T.VARINT_ZIGZAG: case T.BUFFER_OOB:
+        if (this._v(p) < 0) return -1;
+        st[top + 1]--; return this.vp;
+      case T.STRING_ASCII_TINY: case T.STRING_ASCII_SHORT: case T.STRING_UTF8_TINY: case T.STRING_UTF8_SHORT:
+        if (p >= end || p + 1 + b[p] > end) return -1;
+        st[top + 1]--; return p + 1 + b[p];
+      case T.STRING_ASCII_LONG: case T.STRING_UTF8_LONG: case T.BIGINT_POS_LARGE: case T.BIGINT_NEG_LARGE:
+      case T.ARRAYBUFFER: case T.SHAREDARRAYBUFFER:
+        return this._bytes(top, p, 1);
+      case T.ARRAY_PACKED_I8: case T.ARRAY_PACKED_I16: case T.ARRAY_PACKED_I32:
+      case T.ARRAY_PACKED_F32: case T.ARRAY_PACKED_F64:
+      case T.ARRAY_PACKED_U8: case T.ARRAY_PACKED_U16: case T.ARRAY_PACKED_U32:
+        return this._bytes(top, p, BPE[t]);
+      case T.ARRAY_DELTA: // len, then a byte length
+        if (this._v(p) < 0) return -1;
+        return this._bytes(top, this.vp, 1);
+      case T.ARRAY_RLE: // len, run count, then (count, value) runs
+        if (this._v(p) < 0 || (n = this._v(this.vp)) < 0) return -1;
+        return this._open(top, S_SPARSE, n, this.vp);
+      case T.ARRAY_BITSET:
+        if ((n = this._v(p)) < 0) return -1;
+        p = this.vp + Math.ceil(n / 8);
+        if (p > end) return -1;
+        st[top + 1]--; return p;
+      case T.STRING_REF: case T.REFERENCE: case T.CIRCULAR_REF: case T.BUFFER_REF:
+        if (this._v(p) < 0) return -1;
+        st[top + 1]--; return this.vp;
+      case T.BLOB: case T.FILE: { // size, flags, then with contents: bytes, type[, name, lastModified]
+        if ((n = this._v(p)) < 0) return -1;
+        const fl = this._v(this.vp);
+        if (fl < 0) return -1;
+        if (fl === 0) { st[top + 1]--; return this.vp; }
+        if ((p = this.vp + n) > end) return -1;
+        return this._open(top, S_VAL, t === T.FILE ? 3 : 1, p);
+      }
+      case T.ARRAY_DENSE: case T.SET:
+        if ((n = this._v(p)) < 0) return -1;
+        return this._open(top, S_VAL, n, this.vp);
+      case T.ARRAY_SHAPED: case T.ARRAY_COLUMNAR: { // keys, then len records or one column per key
+        if ((n = this._v(p)) < 0) return -1;
+        const k = this._v(this.vp);
+        if (k < 0) return -1;
+        return this._open(top, S_VAL, t === T.ARRAY_SHAPED ? k + n * k : 2 * k, this.vp);
+      }
+      case T.OBJECT_LITERAL: case T.OBJECT_PLAIN: case T.MAP:
+        if ((n = this._v(p)) < 0) return -1;
+        return this._open(top, S_VAL, 2 * n, this.vp);
+      case T.ARRAY_SPARSE:
+        if (this._v(p) < 0 || (n = this._v(this.vp)) < 0) return -1;
+        return this._open(top, S_SPARSE, n, this.vp);
+      case T.OBJECT_WITH_DESCRIPTORS: case T.OBJECT_WITH_METHODS:
+        if ((n = this._v(p)) < 0) return -1;
+        return this._open(top, t === T.OBJECT_WITH_DESCRIPTORS ? S_DESC : S_METH, n, this.vp);
+      case T.OBJECT_CONSTRUCTOR: case T.OBJECT_REGISTERED:
+        st[top + 1]--; st.push(t === T.OBJECT_CONSTRUCTOR ? S_CTOR_TAIL : S_REG_TAIL, 1, S_VAL, 1);
+        return p;
+      case T.WITH_PROPS: // container, then enumerable and non-enumerable pairs
+        st[top + 1]--; st.push(S_CTOR_TAIL, 2, S_VAL, 1);
+        return p;
+      case T.AGGREGATE_ERROR:
+        st[top + 1]--; st.push(S_ERR_TAIL, 1, S_VAL, 2);
+        return p;
+      case T.ERROR_FULL: { // base, flags, then the flagged values and own props
+        if (p + 2 > end) return -1;
+        const fl = b[p + 1];
+        st[top + 1]--;
+        st.push(S_CTOR_TAIL, 1, S_VAL, 1 + (fl & EF_TAG ? 1 : 0) + (fl & EF_NAME ? 1 : 0) + (fl & EF_STACK ? 1 : 0)
+          + (fl & EF_CAUSE ? 1 : 0) + (fl & EF_ERRORS ? 1 : 0));
+        return p + 2;
+      }
+      case T.ERROR: case T.EVAL_ERROR: case T.RANGE_ERROR: case T.REFERENCE_ERROR:
+      case T.SYNTAX_ERROR: case T.TYPE_ERROR: case T.URI_ERROR: case T.CUSTOM_ERROR: case T.REGEXP:
+        return this._open(top, S_VAL, 2, p);
+      case T.SYMBOL: case T.SYMBOL_GLOBAL: case T.SYMBOL_WELLKNOWN:
+      case T.BOXED: case T.URL: case T.URL_SEARCH_PARAMS:
+        return this._open(top, S_VAL, 1, p);
+      case T.HEADERS:
+        if ((n = this._v(p)) < 0) return -1;
+        return this._open(top, S_VAL, 2 * n, this.vp);
+      case T.TYPED_SUBCLASS: // tag, then the typed array
+        return this._open(top, S_VAL, 2, p);
+      case T.EXTENSION:
+        if (this._v(p) < 0 || this.vp >= end) return -1;
+        p = this.vp;
+        if (b[p] !== 0) return this._open(top, S_VAL, 1, p + 1);
+        return this._bytes(top, p + 1, 1);
+    }
+    if ((t & GM) === 0x60 && BPE[t] !== undefined) { // typed arrays: shared flag, offsets, [padding,] body
+      if (p >= end) return -1;
+      const fl = b[p];
+      if (fl === 1) {
+        if (this._v(p + 1) < 0 || this._v(this.vp) < 0 || this._v(this.vp) < 0) return -1;
+        st[top + 1]--; return this.vp;
+      }
+      if (this._v(p + 1) < 0 || (n = this._v(this.vp)) < 0) return -1;
+      p = this.vp;
+      if (fl & 8) { if (this._v(p) < 0) return -1; st[top + 1]--; return this.vp; } // out-of-band body
+      if (fl & 2) { if (p >= end) return -1; p += 1 + b[p]; }
+      p += n * BPE[t];
+      if (p > end) return -1;
+      st[top + 1]--; return p;
+    }
+    throw new TurboSerialDecodeError(`Unknown type: 0x${t.toString(16)}`, p - 1);
+  }
+}
+
+// ── Receive buffer ────────────────────────────────────────────────────
+// Bytes of a stream between the first unconsumed byte (_start) and the end
+// of received data (_len); shared by the incremental readers below.
+class ChunkBuffer {
+  constructor(size) {
+    this._buf = new Uint8Array(size || 4096);
+    this._start = 0;
+    this._len = 0;
+  }
+
+  // Bytes received but not yet part of a decoded message
+  get bufferedBytes() { return this._len - this._start; }
+
+  // Appends bytes; returns how far existing offsets moved down (0 if none)
+  _append(bytes) {
+    const n = bytes.length;
+    let shift = 0;
+    if (this._len + n > this._buf.length) {
+      const live = this._len - this._start;
+      // Compact in place when that frees enough room, otherwise grow
+      if (live + n <= this._buf.length >> 1) this._buf.copyWithin(0, this._start, this._len);
+      else {
+        let ns = this._buf.length;
+        while (ns < live + n) ns <<= 1;
+        const nb = new Uint8Array(ns);
+        nb.set(this._buf.subarray(this._start, this._len));
+        this._buf = nb;
+      }
+      shift = this._start;
+      this._start = 0;
+      this._len = live;
+    }
+    this._buf.set(bytes, this._len);
+    this._len += n;
+    return shift;
+  }
+}
+
+// ── Incremental decoder ───────────────────────────────────────────────
+// Accepts arbitrary fragments of a byte stream holding one or more
+// concatenated messages and decodes each message once it is complete.
+class TurboSerialDecoder extends ChunkBuffer {
+  constructor(opts = {}) {
+    super(opts.initialSize);
+    this.serializer = opts.serializer || new TurboSerial(opts);
+    this.onValue = opts.onValue || null;
+    this.bytesConsumed = 0; // bytes of fully decoded messages
+    this._msgEnd = -1; // known end of the current message (compressed), -1 when unknown
+    this._state = 0;   // 0 = header, 1 = scanning body, 2 = waiting for _msgEnd, 3 = body end in _msgEnd
+    this._tail = 0;    // trailing checksum bytes of the current message
+    this._index = false; // current message has an index section
+    this._scan = new ValueScanner();
+  }
+
+  // Feeds a chunk; returns the values of every message it completed. On an
+  // error, the values completed before it in this push are in err.values.
+  // A message that fails to decode is consumed first, so the next push()
+  // (an empty chunk will do) continues with the messages after it.
+  push(chunk) {
+    this._append(chunk instanceof Uint8Array ? chunk : new Uint8Array(chunk));
+    const out = [];
+    for (;;) {
+      let end;
+      try { end = this._advance(); }
+      catch (e) { this.reset(); e.values = out; throw e; }
+      if (end < 0) break;
+      // Zero-copy values would alias the reused receive buffer
+      const msg = this.serializer.options.zeroCopy ? this._buf.slice(this._start, end) : this._buf.subarray(this._start, end);
+      this._start = end;
+      this._state = 0;
+      this.bytesConsumed += msg.length;
+      let value;
+      try { value = this.serializer.deserialize(msg); }
+      catch (e) { e.values = out; throw e; }
+      out.push(value);
+      if (this.onValue !== null) this.onValue(value);
+    }
+    return out;
+  }
+
+  // Throws if the stream stopped in the middle of a message
+  end() {
+    if (this._len !== this._start) {
+      const n = this._len - this._start;
+      this.reset();
+      throw new TurboSerialDecodeError(`Stream ended inside a message (${n} bytes pending)`, this.bytesConsumed + n);
+    }
+  }
+
+  reset() {
+    this._start = this._len = 0;
+    this._state = 0;
+    this._msgEnd = -1;
+  }
+
+  _append(bytes) {
+    const shift = super._append(bytes);
+    if (shift !== 0) {
+      if (this._msgEnd >= 0) this._msgEnd -= shift;
+      this._scan.pos -= shift;
+    }
+  }
+
+  // End offset of the current message once complete, -1 while incomplete
+  _advance() {
+    const sc = this._scan;
+    if (this._state === 0 && !this._header()) return -1;
+    if (this._state === 2) return this._len >= this._msgEnd ? this._msgEnd : -1;
+    sc.buf = this._buf;
+    sc.end = this._len;
+    if (this._state === 1) {
+      if (!sc.run()) return -1;
+      this._msgEnd = sc.pos; // body end
+      this._state = 3;
+    }
+    // Body walked; an index section and the checksum may follow
+    if (this._index) {
+      const n = sc._v(this._msgEnd);
+      if (n < 0) return -1;
+      this._msgEnd = sc.vp + n;
+    }
+    this._msgEnd += this._tail;
+    this._state = 2;
+    return this._len >= this._msgEnd ? this._msgEnd : -1;
+  }
+
+  _header() {
+    const b = this._buf, p = this._start, avail = this._len - p;
+    if (avail < 5) return false;
+    if ((b[p] | (b[p+1] << 8) | (b[p+2] << 16) | (b[p+3] << 24)) !== MAGIC) {
+      throw new TurboSerialDecodeError("Invalid TurboSerial data", this.bytesConsumed);
+    }
+    const version = b[p + 4];
+    let body;
+    this._tail = 0;
+    this._index = false;
+    if (version === 6) body = p + 5;
+    else if (version === 7) body = p + 17;
+    else if (version === 8 || version === 9) {
+      if (avail < 6) return false;
+      const flags = b[p + 5];
+      if (flags & F_CHECKSUM) this._tail = 4;
+      this._index = (flags & F_INDEX) !== 0;
+      if (flags & F_COMPRESSED) {
+        const sc = this._scan;
+        sc.buf = b; sc.end = this._len;
+        if (sc._v(p + 6) < 0) return false;
+        const compLen = sc._v(sc.vp);
+        if (compLen < 0) return false;
+        this._msgEnd = sc.vp + compLen + this._tail;
+        this._state = 2;
+        return true;
+      }
+      body = p + ((flags & F_NO_COUNTS) ? 6 : HEADER_SIZE) + ((flags & F_DICT) ? DICT_SIZE : 0);
+    } else {
+      throw new TurboSerialDecodeError(`Unsupported version: ${version}`, this.bytesConsumed + 4);
+    }
+    if (body > this._len) return false;
+    this._scan.reset(body, 1);
+    this._state = 1;
+    return true;
+  }
+}
+
+// ── Frame reader ──────────────────────────────────────────────────────
+// Splits a byte stream into encodeFrame() frames. A frame with a bad magic,
+// implausible length, unknown flags or checksum mismatch is reported to
+// onError and skipped by scanning forward to the next magic.
+class FrameReader extends ChunkBuffer {
+  constructor(opts = {}) {
+    super(opts.initialSize);
+    this.serializer = opts.serializer || new TurboSerial(opts);
+    this.onValue = opts.onValue || null;
+    this.onError = opts.onError || null;
+    this.maxFrameSize = opts.maxFrameSize || 64 * 1024 * 1024;
+    this.bytesConsumed = 0; // decoded frames plus skipped bytes
+    this.skippedBytes = 0;
+    this._syncing = false;  // inside a corrupt stretch: report it only once
+  }
+
+  // Feeds a chunk; returns the values of every frame it completed. A frame
+  // whose payload fails to decode goes to onError like any corrupt frame;
+  // without onError the error is thrown, with the values completed before
+  // it in err.values, and the next push() continues after that frame.
+  push(chunk) {
+    this._append(chunk instanceof Uint8Array ? chunk : new Uint8Array(chunk));
+    const out = [];
+    for (;;) {
+      const r = this._frame();
+      if (r === 0) break;
+      if (r < 0) continue;
+      // Restore the magic in front of the payload and decode in place
+      const end = this._pEnd, ps = this._pStart - 4, b = this._buf, at = this.bytesConsumed, n = this._fEnd - this._start;
+      b[ps] = MAGIC & 0xFF; b[ps+1] = (MAGIC >>> 8) & 0xFF; b[ps+2] = (MAGIC >>> 16) & 0xFF; b[ps+3] = MAGIC >>> 24;
+      const msg = this.serializer.options.zeroCopy ? b.slice(ps, end) : b.subarray(ps, end);
+      this.bytesConsumed += n;
+      this._start = this._fEnd;
+      this._syncing = false;
+      let value;
+      try { value = this.serializer.deserialize(msg); }
+      catch (e) {
+        this.skippedBytes += n;
+        const err = new TurboSerialDecodeError(`Corrupt frame payload: ${e.message}`, at);
+        err.cause = e;
+        if (this.onError === null) { err.values = out; throw err; }
+        this.onError(err);
+        continue;
+      }
+      out.push(value);
+      if (this.onValue !== null) this.onValue(value);
+    }
+    return out;
+  }
+
+  // Throws if the stream stopped in the middle of a frame
+  end() {
+    if (this._len !== this._start) {
+      const n = this._len - this._start;
+      this.reset();
+      throw new TurboSerialDecodeError(`Stream ended inside a frame (${n} bytes pending)`, this.bytesConsumed + n);
+    }
+  }
+
+  reset() {
+    this._start = this._len = 0;
+    this._syncing = false;
+  }
+
+  // 1 = frame ready (_pStart/_pEnd/_fEnd set), 0 = need more bytes, -1 = skipped corrupt bytes
+  _frame() {
+    const b = this._buf, s = this._start, len = this._len;
+    if (len - s < 4) return 0;
+    if ((b[s] | (b[s+1] << 8) | (b[s+2] << 16) | (b[s+3] << 24)) !== MAGIC) return this._resync("Invalid frame magic");
+    let p = s + 4, n = 0, mul = 1, c;
+    do {
+      if (p >= len) return 0;
+      c = b[p++];
+      n += (c & 0x7F) * mul;
+      mul *= 128;
+    } while (c & 0x80 && mul <= this.maxFrameSize);
+    if (c & 0x80 || n > this.maxFrameSize) return this._resync("Frame too large");
+    if (n < 2) return this._resync("Frame too short");
+    if (p >= len) return 0;
+    const flags = b[p++];
+    if (flags & ~FR_KNOWN) return this._resync(`Unknown frame flags: 0x${flags.toString(16)}`);
+    const pe = p + n, fe = pe + (flags & FR_CRC32 ? 4 : 0);
+    if (fe > len) return 0;
+    if (flags & FR_CRC32 && crc32(b, s, pe) !== (b[pe] | (b[pe+1] << 8) | (b[pe+2] << 16) | (b[pe+3] << 24)) >>> 0) {
+      return this._resync("Frame checksum mismatch");
+    }
+    this._pStart = p; this._pEnd = pe; this._fEnd = fe;
+    return 1;
+  }
+
+  // Drops bytes up to the next magic after the current start
+  _resync(message) {
+    const b = this._buf, s = this._start, len = this._len;
+    let m = s + 1;
+    for (; m + 4 <= len; m++) {
+      if (b[m] === 0x36 && b[m+1] === 0x52 && b[m+2] === 0x42 && b[m+3] === 0x54) break;
+    }
+    if (m + 4 > len) m = Math.max(s + 1, len - 3); // keep a possible partial magic
+    if (!this._syncing) {
+      this._syncing = true;
+      if (this.onError !== null) this.onError(new TurboSerialDecodeError(message, this.bytesConsumed));
+    }
+    this.skippedBytes += m - s;
+    this.bytesConsumed += m - s;
+    this._start = m;
+    return -1;
+  }
+}
+
+// ── Projection ────────────────────────────────────────────────────────
+// deserialize(bytes, { select }) builds only the selected paths. Skipped
+// values are walked by the scanner, which still claims their ref, string
+// and buffer table slots (marked SKIPPED, with their offsets), so a later
+// back-reference into skipped data decodes it on demand by replaying it
+// at its offset with the table positions it originally had.
+const SKIPPED = { skipped: true };
+const NONE = Symbol("none"); // path absent from the data
+
+// select: ['header.id', 'items[*].price', 'a["x.y"]', 'rows[0]', 'm.*']
+function parseSelect(paths) {
+  const root = { all: false, keys: null, any: null };
+  for (const path of paths) {
+    if (typeof path !== "string") throw new TypeError(`select paths must be strings, got ${typeof path}`);
+    let node = root, i = 0;
+    while (i < path.length && !node.all) {
+      let seg;
+      if (path[i] === "[") {
+        const j = path.indexOf("]", i);
+        const tok = j < 0 ? "" : path.slice(i + 1, j);
+        if (tok === "*") seg = null;
+        else if (/^\d+$/.test(tok)) seg = tok;
+        else if (tok.length >= 2 && (tok[0] === '"' || tok[0] === "'") && tok[tok.length - 1] === tok[0]) seg = tok.slice(1, -1);
+        else throw new TypeError(`Bad select path: ${path}`);
+        i = j + 1;
+      } else {
+        if (path[i] === "." && i > 0) i++;
+        let j = i;
+        while (j < path.length && path[j] !== "." && path[j] !== "[") j++;
+        if (j === i) throw new TypeError(`Bad select path: ${path}`);
+        seg = path.slice(i, j);
+        if (seg === "*") seg = null;
+        i = j;
+      }
+      let next = seg === null ? node.any : node.keys !== null ? node.keys.get(seg) : undefined;
+      if (next == null) {
+        next = { all: false, keys: null, any: null };
+        if (seg === null) node.any = next;
+        else (node.keys || (node.keys = new Map())).set(seg, next);
+      }
+      node = next;
+    }
+    node.all = true;
+  }
+  widen(root);
+  return root;
+}
+
+// 'a[*].x' plus 'a[0].y' selects both x and y of a[0]: fold wildcards into named siblings
+function widen(node) {
+  if (node.all) return;
+  if (node.keys !== null) for (const c of node.keys.values()) { if (node.any !== null) mergeSel(c, node.any); widen(c); }
+  if (node.any !== null) widen(node.any);
+}
+
+function mergeSel(dst, src) {
+  if (dst.all) return;
+  if (src.all) { dst.all = true; return; }
+  if (src.any !== null) mergeSel(dst.any || (dst.any = { all: false, keys: null, any: null }), src.any);
+  if (src.keys !== null) for (const [k, c] of src.keys) {
+    const keys = dst.keys || (dst.keys = new Map());
+    if (!keys.has(k)) keys.set(k, { all: false, keys: null, any: null });
+    mergeSel(keys.get(k), c);
+  }
+}
+
+function childOf(node, key) {
+  if (node.keys !== null) { const c = node.keys.get(key); if (c !== undefined) return c; }
+  return node.any;
+}
+
+// Projection of an already decoded value
+function pickPaths(v, node) {
+  if (node.all) return v;
+  if (v === null || typeof v !== "object") return NONE;
+  let out;
+  if (v instanceof Map) {
+    out = new Map();
+    for (const [k, x] of v) {
+      const c = childOf(node, String(k));
+      if (c !== null) { const r = pickPaths(x, c); if (r !== NONE) out.set(k, r); }
+    }
+  } else {
+    out = Array.isArray(v) ? [] : {};
+    for (const k of Object.keys(v)) {
+      const c = childOf(node, k);
+      if (c !== null) { const r = pickPaths(v[k], c); if (r !== NONE) out[k] = r; }
+    }
+  }
+  return out;
+}
+
+class Projector extends TurboSerial {
+  constructor(serializer) {
+    super(serializer.options);
+    this.classes = serializer.classes;
+    this.extensions = serializer.extensions;
+    this.dictionary = serializer.dictionary;
+    this._scan = new ValueScanner();
+    this._scan.tables = this;
+    this._sel = null;
+    // Per skipped slot, 4 numbers: offset of the value to replay and the table positions at its start
+    this._skR = []; this._skS = []; this._skB = [];
+    // Table high-water marks while replaying (positions are rewound then)
+    this._hiR = 0; this._hiS = 0; this._hiB = 0;
+    this._partial = new WeakSet(); // containers built by _rSel
+    this._outer = null; // [offset, r, s, b] of the TYPED_SUBCLASS or WITH_PROPS the next skipped value is the body of
+  }
+
+  run(input, select) {
+    this._sel = parseSelect(select);
+    this._begin(input);
+    if (this._drIdx < 0) {
+      // No header counts: index the tables anyway (at most one entry per byte,
+      // after the dictionary entries)
+      this._dsIdx = this.deserializeStrings.length;
+      this.deserializeRefs.length = this.deserializeBuffers.length = this._end;
+      this.deserializeStrings.length = this._dsIdx + this._end;
+      this._drIdx = this._dbIdx = 0;
+    }
+    this._skR.length = this._skS.length = this._skB.length = 0;
+    this._hiR = this._hiS = this._hiB = 0;
+    try {
+      const v = this._root(this._rSelRoot);
+      if (this._dictAdd !== 0) {
+        // New dictionary entries may sit in skipped data
+        const t = this.deserializeStrings;
+        for (let i = this._dictBase, e = Math.min(i + this._dictAdd, t.length); i < e; i++) {
+          if (t[i] === SKIPPED) this._unskip(this._skS, i);
+        }
+        this._learnDict(t);
+      }
+      return v === NONE ? undefined : v;
+    } finally {
+      this.deserializeRefs = this.deserializeStrings = this.deserializeBuffers = null;
+      this.buffer = this.view = null;
+      this._partial = new WeakSet();
+    }
+  }
+
+  _rSelRoot() { return this._rSel(this._sel); }
+
+  // Skips `n` values, claiming their table slots
+  _skip(n) {
+    const sc = this._scan;
+    sc.buf = this.buffer;
+    sc.end = this._end;
+    sc.reset(this.pos, n);
+    if (!sc.run()) throw new TurboSerialDecodeError("Unexpected end of data", sc.pos);
+    this.pos = sc.pos;
+  }
+
+  // Scanner callback for each walked value: mirrors the reader's table pushes
+  _skipped(t, start, end) {
+    const g = t & GM, r = this._drIdx, s = this._dsIdx, b = this._dbIdx;
+    if (g === 0x30) {
+      if (t === T.STRING_EMPTY || t === T.STRING_REF) return;
+      let len;
+      if (t === T.STRING_ASCII_LONG || t === T.STRING_UTF8_LONG) { this._scan._v(start + 1); len = end - this._scan.vp; }
+      else len = this.buffer[start + 1];
+      // UTF-8 takes at most 3 bytes per UTF-16 unit, so only short ones are decoded to count
+      const utf8 = t === T.STRING_UTF8_TINY || t === T.STRING_UTF8_SHORT || t === T.STRING_UTF8_LONG;
+      if (utf8 && len <= 12 ? this.dec.decode(this.buffer.subarray(end - len, end)).length > 3 : len > 3) {
+        this._claim(this.deserializeStrings, this._skS, s, start, r, s, b);
+        this._dsIdx++;
+      }
+      return;
+    }
+    if (t === T.TYPED_SUBCLASS || t === T.WITH_PROPS) {
+      this._outer = [start, r, s, b]; // takes the ref; the body inside only the slots after it
+    } else if (g === 0x60) {
+      // The view, then its buffer if registered; a subclass body replays as the subclass
+      const sub = this._outer, fl = this.buffer[start + 1];
+      this._outer = null;
+      if (sub === null) { this._claim(this.deserializeRefs, this._skR, r, start, r, s, b); this._drIdx++; }
+      if (fl !== 1 && (fl & 4) === 0) {
+        const [o, r0, s0, b0] = sub || [start, r, s, b];
+        if (this._v9) { this._claim(this.deserializeRefs, this._skR, this._drIdx, o, r0, s0, b0); this._drIdx++; }
+        else { this._claim(this.deserializeBuffers, this._skB, b, o, r0, s0, b0); this._dbIdx++; }
+      }
+      return;
+    } else if (t === T.ARRAYBUFFER || t === T.SHAREDARRAYBUFFER || t === T.BUFFER_OOB) {
+      if (!this._v9) { this._claim(this.deserializeBuffers, this._skB, b, start, r, s, b); this._dbIdx++; }
+    } else if (t === T.ARRAY_SHAPED || t === T.ARRAY_COLUMNAR) {
+      // The array, then each record takes a ref; a record replays as the whole array (or its wrapper)
+      const n = this._scan._v(start + 1), out = this._outer, at = out === null ? r : r - 1;
+      const [o, r0, s0, b0] = out || [start, r, s, b];
+      this._outer = null;
+      for (let i = out === null ? 0 : 1; i <= n; i++) this._claim(this.deserializeRefs, this._skR, at + i, o, r0, s0, b0);
+      this._drIdx = at + n + 1;
+      return;
+    } else if (g < 0x40 || g === 0x70 || (g >= 0xD0 && t !== T.EXTENSION && !(this._v9 && (t === T.SYMBOL || t === T.SYMBOL_NO_DESC)))) {
+      return; // not objects (v9 local symbols aside), or BUFFER_REF
+    } else if (this._outer !== null) { this._outer = null; return; } // WITH_PROPS body
+    this._drIdx++;
+    this._claim(this.deserializeRefs, this._skR, r, start, r, s, b);
+  }
+
+  _claim(table, sk, i, off, r, s, b) {
+    if (this._strict) this._checkTable(table, i, table === this.deserializeRefs ? this.options.maxRefs : Infinity);
+    table[i] = SKIPPED;
+    const j = 4 * i;
+    sk[j] = off; sk[j + 1] = r; sk[j + 2] = s; sk[j + 3] = b;
+  }
+
+  _unskip(sk, i) { const j = 4 * i; this._replay(sk[j], sk[j + 1], sk[j + 2], sk[j + 3]); }
+
+  _bufAt(bid) {
+    const t = this._v9 ? this.deserializeRefs : this.deserializeBuffers;
+    if (t[bid] === SKIPPED) this._unskip(this._v9 ? this._skR : this._skB, bid);
+    return t[bid];
+  }
+
+  _rIdx(table, idx) {
+    const i = this._rV();
+    const isRef = table === this.deserializeRefs, isStr = table === this.deserializeStrings;
+    if (this._strict && i >= Math.max(idx, isRef ? this._hiR : isStr ? this._hiS : this._hiB)) this._fail(`Reference ${i} out of range`);
+    if (table[i] === SKIPPED) this._unskip(isRef ? this._skR : isStr ? this._skS : this._skB, i);
+    return table[i];
+  }
+
+  // Decodes a skipped value in place, refilling the table slots it claimed
+  _replay(off, r, s, b) {
+    const pos = this.pos, dr = this._drIdx, ds = this._dsIdx, db = this._dbIdx;
+    const hr = this._hiR, hs = this._hiS, hb = this._hiB;
+    this._hiR = Math.max(hr, dr); this._hiS = Math.max(hs, ds); this._hiB = Math.max(hb, db);
+    this.pos = off; this._drIdx = r; this._dsIdx = s; this._dbIdx = b;
+    try { this.readValue(); }
+    finally {
+      this.pos = pos; this._drIdx = dr; this._dsIdx = ds; this._dbIdx = db;
+      this._hiR = hr; this._hiS = hs; this._hiB = hb;
+    }
+  }
+
+  // Value at pos, restricted to `node`; NONE when the path doesn't exist
+  _rSel(node) {
+    if (node.all) return this.readValue();
+    if (this._strict) { this._need(1); if (++this._depth > this.options.maxDepth) this._fail("Maximum depth exceeded"); }
+    const t = this.buffer[this.pos], g = t & GM;
+    let out;
+    if (t === T.OBJECT_LITERAL || t === T.OBJECT_PLAIN) {
+      this.pos++;
+      out = {};
+      this._pushRef(out);
+      this._partial.add(out);
+      const n = this._rV();
+      if (this._strict) this._checkLen(n, 2, Infinity);
+      for (let i = 0; i < n; i++) {
+        const k = this._rKey(), c = childOf(node, k);
+        if (c === null) { this._skip(1); continue; }
+        const v = this._rSel(c);
+        if (v !== NONE) out[k] = v;
+      }
+    } else if (t === T.ARRAY_DENSE) {
+      this.pos++;
+      out = [];
+      this._pushRef(out);
+      this._partial.add(out);
+      const n = this._rV();
+      if (this._strict) this._checkLen(n, 1, this.options.maxArrayLength);
+      let last = n - 1; // past the last selected index, the rest is skipped in one go
+      if (node.any === null) { last = -1; for (const k of node.keys.keys()) if (/^\d+$/.test(k)) last = Math.max(last, +k); }
+      for (let i = 0; i < n; i++) {
+        if (i > last) { this._skip(n - i); break; }
+        const c = childOf(node, String(i));
+        if (c === null) { this._skip(1); continue; }
+        const v = this._rSel(c);
+        if (v !== NONE) out[i] = v;
+      }
+    } else if ((t === T.ARRAY_SHAPED || t === T.ARRAY_COLUMNAR) && node.keys === null && node.any !== null) {
+      // Every record is kept, so each one is a (partial) object of its own
+      this.pos++;
+      out = [];
+      this._pushRef(out);
+      this._partial.add(out);
+      const n = this._rV(), k = this._rV(), rec = node.any;
+      if (this._strict) {
+        if (k === 0) this._fail("Shaped array without keys");
+        this._checkLen(k, t === T.ARRAY_SHAPED ? 1 : 2, Infinity);
+        this._checkLen(n, t === T.ARRAY_SHAPED ? k : 0, this.options.maxArrayLength);
+      }
+      const sel = new Array(k);
+      for (let j = 0; j < k; j++) { const key = this._rKey(); sel[j] = [key, rec.all ? rec : childOf(rec, key)]; }
+      for (let i = 0; i < n; i++) { const o = {}; this._pushRef(o); this._partial.add(o); out[i] = o; }
+      if (t === T.ARRAY_SHAPED) {
+        for (let i = 0; i < n; i++) {
+          for (let j = 0; j < k; j++) {
+            const [key, c] = sel[j];
+            if (c === null) { this._skip(1); continue; }
+            const v = this._rSel(c);
+            if (v !== NONE) out[i][key] = v;
+          }
+        }
+      } else {
+        for (let j = 0; j < k; j++) {
+          const [key, c] = sel[j];
+          if (c === null) { this._skip(1); continue; }
+          const col = this.readValue();
+          if (!Array.isArray(col) || col.length !== n) throw new TurboSerialDecodeError(`Column ${key} does not have ${n} entries`, this.pos);
+          for (let i = 0; i < n; i++) { const v = pickPaths(col[i], c); if (v !== NONE) out[i][key] = v; }
+        }
+      }
+    } else if (t === T.MAP) {
+      this.pos++;
+      out = new Map();
+      this._pushRef(out);
+      this._partial.add(out);
+      const n = this._rV();
+      if (this._strict) this._checkLen(n, 2, this.options.maxArrayLength);
+      for (let i = 0; i < n; i++) {
+        const k = this.readValue(), c = childOf(node, String(k));
+        if (c === null) { this._skip(1); continue; }
+        const v = this._rSel(c);
+        if (v !== NONE) out.set(k, v);
+      }
+    } else if (g < 0x40 && t !== T.STRING_REF) {
+      this._skip(1); // scalar where the path expects a container
+      out = NONE;
+    } else {
+      // References, packed and typed arrays, class instances, …: decode, then pick.
+      // A reference to a container that is itself being projected keeps its identity.
+      out = this.readValue();
+      if (!this._partial.has(out)) out = pickPaths(out, node);
+    }
+    if (this._strict) this._depth--;
+    return out;
+  }
+}
+
+// ── Random access ─────────────────────────────────────────────────────
+// Decodes single subtrees of an indexed message (index: true) on demand.
+// Back-references resolve through the index's table offsets, and every
+// ref-able value is memoized by offset, so identity holds across accesses.
+class LazyReader extends TurboSerial {
+  constructor(serializer) {
+    super(serializer.options);
+    this.classes = serializer.classes;
+    this.extensions = serializer.extensions;
+    this.dictionary = serializer.dictionary;
+    this._memo = [];        // ref-able values by offset; stands in for deserializeRefs
+    this._ends = new Map(); // offset → end of a fully decoded memoized value
+    this._starts = [];      // offsets of the values being decoded
+    this._strs = [];        // string table, filled as ids are resolved
+    this._owned = new Map(); // zero-copy view → its own ArrayBuffer
+    this._bufIds = null;     // v9: ref ids of buffers registered by their view
+    this._scan = new ValueScanner();
+    this._unfinished = new Set(); // starts of values the explicit stack still fills
+    this._rootPos = 0;       // offset of the root value
+  }
+
+  // Returns false when the message has no index
+  load(input) {
+    const flags = this._begin(input);
+    if (!(flags & F_INDEX)) return false;
+    this.deserializeRefs = this._memo;
+    this._strs = this.deserializeStrings; // dictionary entries, if any, come first
+    this.deserializeStrings = [];
+    this.deserializeBuffers = [];
+    this._rootPos = this.pos;
+    const body = this._end;
+    this._end = this._ixEnd - 4;
+    this.pos = body;
+    this._rV(); // section length
+    this._refOff = this._rOffsets(body);
+    this._strOff = this._rOffsets(body);
+    this._bufOff = this._rOffsets(body);
+    // v9 lists the ref ids of buffers registered by a view (at the view's offset)
+    this._bufIds = this._v9 ? new Set(this._bufOff) : null;
+    const nb = this._rV();
+    this._boxes = new Map();
+    for (let i = 0, at = 0; i < nb; i++) {
+      at += this._rV();
+      const n = this._rV();
+      if (this._strict) this._checkLen(n, 1, body);
+      const offs = new Uint32Array(n);
+      for (let j = 0, q = at; j < n; j++) offs[j] = q += this._rV();
+      if (this._strict && n !== 0 && (at >= body || offs[n - 1] >= body)) this._fail("Index offset out of range");
+      this._boxes.set(at, offs);
+    }
+    this._end = body;
+    if (this._dictAdd !== 0) {
+      for (let i = 0; i < this._dictAdd; i++) this._strAt(this._dictBase + i);
+      this._learnDict(this._strs);
+    }
+    this.pos = this._rootPos;
+    return true;
+  }
+
+  _rOffsets(limit) {
+    const n = this._rV();
+    if (this._strict) this._checkLen(n, 1, limit);
+    const offs = new Uint32Array(n);
+    for (let i = 0, q = 0; i < n; i++) offs[i] = q += this._rV();
+    if (this._strict && n !== 0 && offs[n - 1] >= limit) this._fail("Index offset out of range");
+    return offs;
+  }
+
+  // ── Decoding hooks ──
+
+  _rValue() {
+    const start = this.pos, end = this._ends.get(start);
+    if (end !== undefined) { this.pos = end; return this._memo[start]; }
+    this._starts.push(start);
+    let v;
+    try { v = super._rValue(); }
+    catch (e) { this._starts.pop(); throw e; }
+    // A value left to the explicit stack stays in _starts until its K_DONE
+    if (!this._unfinished.has(start)) this._readThrough(start);
+    return v;
+  }
+
+  _readThrough(start) {
+    this._unfinished.delete(start);
+    this._starts.pop();
+    if (this._memo[start] !== undefined) this._ends.set(start, this.pos);
+  }
+
+  // Past iterativeDepth: a K_DONE frame under the value's own frames marks
+  // when it's read through
+  _rDeep(val, at, fill) {
+    if (this._deferAt === at) {
+      const start = this._starts[this._starts.length - 1];
+      this._deepStack.push({ t: K_DONE, o: null, a: null, n: 0, i: 0, x: start, c: false, d: this._depth });
+      super._rDeep(val, at, fill);
+      this._unfinished.add(start);
+      return;
+    }
+    const n = this._starts.length;
+    try { super._rDeep(val, at, fill); }
+    catch (e) {
+      for (const s of this._starts.splice(n)) this._unfinished.delete(s);
+      throw e;
+    }
+  }
+
+  // First push at an offset wins (records of a shaped array push after it)
+  _pushRef(val) { const s = this._starts[this._starts.length - 1]; if (this._memo[s] === undefined) this._memo[s] = val; }
+  _reserveRef() { return this._starts[this._starts.length - 1]; }
+  _pushStr() {}
+  _pushBuf() {}
+  _regBuf() {}
+
+  _rIdx(table, idx) {
+    const i = this._rV();
+    if (table === this._memo) {
+      if (this._bufIds === null || !this._bufIds.has(i)) return this._at(this._off(this._refOff, i, "Reference"));
+      const b = this._bufAt(i);
+      return ArrayBuffer.isView(b) ? this._ownBuf(b) : b;
+    }
+    if (table === this.deserializeStrings) return this._strAt(i);
+    return this._bufAt(i);
+  }
+
+  _strAt(i) {
+    let str = this._strs[i];
+    if (str === undefined) str = this._strs[i] = this._at(this._off(this._strOff, i - this._dictBase, "String reference"));
+    return str;
+  }
+
+  _off(list, i, what) {
+    if (i >= list.length) this._fail(`${what} ${i} out of range`);
+    return list[i];
+  }
+
+  // Typed arrays decoded as copies own their whole buffer; zero-copy views don't
+  _bufAt(bid) {
+    const v = this._at(this._v9 ? this._off(this._refOff, bid, "Buffer reference") : this._off(this._bufOff, bid, "Buffer reference"));
+    return ArrayBuffer.isView(v) && v.byteOffset === 0 && v.byteLength === v.buffer.byteLength ? v.buffer : v;
+  }
+
+  _ownBuf(view) {
+    let ab = this._owned.get(view);
+    if (ab === undefined) this._owned.set(view, ab = view.buffer.slice(view.byteOffset, view.byteOffset + view.byteLength));
+    return ab;
+  }
+
+  // Value at `off`, decoded once
+  _at(off) {
+    if (this._ends.has(off) || this._starts.includes(off)) return this._memo[off];
+    const p = this.pos;
+    this.pos = off;
+    try { return this.readValue(); }
+    finally { this.pos = p; }
+  }
+
+  // ── Navigation ──
+
+  // Follows REFERENCE/CIRCULAR_REF to the referenced value's encoding
+  _resolve(off) {
+    for (let n = 0; ; n++) {
+      const t = this.buffer[off];
+      if (t !== T.REFERENCE && t !== T.CIRCULAR_REF) return off;
+      if (n > this._refOff.length) throw new TurboSerialDecodeError("Reference cycle", off);
+      this.pos = off + 1;
+      const i = this._rV();
+      // A view's buffer shares the view's offset: stay on the reference
+      if (this._bufIds !== null && this._bufIds.has(i)) return off;
+      off = this._off(this._refOff, i, "Reference");
+    }
+  }
+
+  _skip(off) {
+    const sc = this._scan;
+    sc.buf = this.buffer;
+    sc.end = this._end;
+    sc.reset(off, 1);
+    if (!sc.run()) throw new TurboSerialDecodeError("Unexpected end of data", sc.pos);
+    return sc.pos;
+  }
+
+  // Calls fn(keyOffset, i) for each entry of an object or Map (or element
+  // of an array or Set) until it returns true; false if not navigable
+  _each(off, fn) {
+    const t = this.buffer[off];
+    if (t !== T.OBJECT_LITERAL && t !== T.OBJECT_PLAIN && t !== T.MAP && t !== T.ARRAY_DENSE && t !== T.SET) return false;
+    const pairs = t === T.OBJECT_LITERAL || t === T.OBJECT_PLAIN || t === T.MAP;
+    const box = this._boxes.get(off);
+    this.pos = off + 1;
+    const n = this._rV();
+    let p = this.pos;
+    for (let i = 0; i < n; i++) {
+      if (box !== undefined) p = box[i];
+      if (fn(p, i, n)) return true;
+      if (box === undefined) { p = this._skip(p); if (pairs) p = this._skip(p); }
+    }
+    return true;
+  }
+
+  _get(off, key) {
+    off = this._resolve(off);
+    const t = this.buffer[off];
+    if (t === T.OBJECT_EMPTY) return undefined;
+    if (t !== T.OBJECT_LITERAL && t !== T.OBJECT_PLAIN && t !== T.MAP) return pick(this, this._at(off), key);
+    if (t !== T.MAP) key = String(key);
+    let found;
+    this._each(off, (p) => {
+      this.pos = p;
+      const k = this.readValue();
+      if (k === key || (k !== k && key !== key)) { found = new TurboSerialCursor(this, this.pos); return true; }
+      return false;
+    });
+    return found;
+  }
+
+  _elem(off, i) {
+    off = this._resolve(off);
+    const t = this.buffer[off];
+    if (t === T.ARRAY_EMPTY) return undefined;
+    if (((t & GM) === 0x40 && BPE[t] !== undefined) || t === T.ARRAY_BITSET) {
+      // Fixed stride: read the element in place
+      this.pos = off + 1;
+      const n = this._rV();
+      if (!(i >= 0 && i < n)) return undefined;
+      const v = t === T.ARRAY_BITSET ? ((this.buffer[this.pos + Math.floor(i / 8)] >> (i % 8)) & 1) === 1
+        : packedAt(this.view, t, this.pos + i * BPE[t]);
+      return new TurboSerialCursor(this, -1, v);
+    }
+    if (t !== T.ARRAY_DENSE && t !== T.SET) return pick(this, this._at(off), i);
+    let found;
+    this._each(off, (p, j, n) => {
+      if (!(i >= 0 && i < n)) return true;
+      if (j !== i) return false;
+      found = new TurboSerialCursor(this, p);
+      return true;
+    });
+    return found;
+  }
+
+  _keys(off) {
+    off = this._resolve(off);
+    const t = this.buffer[off];
+    if (t !== T.OBJECT_LITERAL && t !== T.OBJECT_PLAIN && t !== T.MAP) return keysOf(this._at(off));
+    const keys = [];
+    this._each(off, (p) => { this.pos = p; keys.push(this.readValue()); return false; });
+    return keys;
+  }
+
+  _length(off) {
+    off = this._resolve(off);
+    const t = this.buffer[off];
+    if (t === T.ARRAY_EMPTY || t === T.OBJECT_EMPTY) return 0;
+    if (t === T.ARRAY_DENSE || t === T.ARRAY_SPARSE || t === T.OBJECT_LITERAL || t === T.OBJECT_PLAIN ||
+        t === T.MAP || t === T.SET || (t >= T.ARRAY_PACKED_I8 && t <= T.ARRAY_BITSET)) {
+      this.pos = off + 1;
+      return this._rV();
+    }
+    return lengthOf(this._at(off));
+  }
+}
+
+// Element of a fixed-width packed array at byte offset p
+function packedAt(dv, t, p) {
+  switch (t) {
+    case T.ARRAY_PACKED_I8: return dv.getInt8(p);
+    case T.ARRAY_PACKED_U8: return dv.getUint8(p);
+    case T.ARRAY_PACKED_I16: return dv.getInt16(p, true);
+    case T.ARRAY_PACKED_U16: return dv.getUint16(p, true);
+    case T.ARRAY_PACKED_I32: return dv.getInt32(p, true);
+    case T.ARRAY_PACKED_U32: return dv.getUint32(p, true);
+    case T.ARRAY_PACKED_F32: return dv.getFloat32(p, true);
+  }
+  return dv.getFloat64(p, true);
+}
+
+// Navigation over an already decoded value
+function pick(doc, v, key) {
+  if (v instanceof Map) return v.has(key) ? new TurboSerialCursor(doc, -1, v.get(key)) : undefined;
+  if (v instanceof Set) return typeof key === "number" && key >= 0 && key < v.size ? new TurboSerialCursor(doc, -1, [...v][key]) : undefined;
+  if (v === null || typeof v !== "object" || !Object.prototype.hasOwnProperty.call(v, key)) return undefined;
+  return new TurboSerialCursor(doc, -1, v[key]);
+}
+
+function keysOf(v) {
+  if (v instanceof Map) return [...v.keys()];
+  return v !== null && typeof v === "object" ? Object.keys(v) : [];
+}
+
+function lengthOf(v) {
+  if (v instanceof Map || v instanceof Set) return v.size;
+  if (Array.isArray(v) || ArrayBuffer.isView(v)) return v.length;
+  return v !== null && typeof v === "object" ? Object.keys(v).length : 0;
+}
+
+// Position in a message opened with TurboSerial.open(). Navigating only
+// decodes the keys it compares; value() decodes the subtree.
+class TurboSerialCursor {
+  constructor(doc, offset, value) {
+    this._doc = doc;
+    this._off = offset; // -1: already decoded into _value
+    this._value = value;
+  }
+
+  value() { return this._off < 0 ? this._value : this._doc._at(this._off); }
+
+  // Property of an object / entry of a Map; undefined when missing
+  get(key) { return this._off < 0 ? pick(this._doc, this._value, key) : this._doc._get(this._off, key); }
+
+  // Element of an array (or Set, in insertion order); undefined when out of range
+  at(i) { return this._off < 0 ? pick(this._doc, this._value, i) : this._doc._elem(this._off, i); }
+
+  keys() { return this._off < 0 ? keysOf(this._value) : this._doc._keys(this._off); }
+
+  get length() { return this._off < 0 ? lengthOf(this._value) : this._doc._length(this._off); }
 }
 
-export { ctorSymbol };
+export { ctorSymbol, TurboSerialDecodeError, TurboSerialIntegrityError, TurboSerialDecoder, FrameReader, TurboSerialCursor, TurboSerialDictionary };
 export default TurboSerial;
@@ -0,0 +1,6 @@
+import { Readable } from "node:stream";
+
+// Node Readable (byte mode) over TurboSerial#serializeToStream()
+export function serializeToNodeStream(serializer, value, opts = {}) {
+  return Readable.from(serializer.serializeToStream(value, opts), { objectMode: false });
+}
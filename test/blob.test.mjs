@@ -0,0 +1,44 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import TurboSerial from "../index.js";
+
+test("serializeAsync: Blob and File contents and metadata", async () => {
+  const ts = new TurboSerial({ checksum: "crc32" });
+  const file = new File([new Uint8Array([1, 2, 3])], "me.png", { type: "image/png", lastModified: 1234 });
+  const o = ts.deserialize(await ts.serializeAsync({ file, empty: new Blob([]), list: [new Blob(["x"])] }));
+  assert.ok(o.file instanceof File);
+  assert.equal(o.file.name, "me.png");
+  assert.equal(o.file.type, "image/png");
+  assert.equal(o.file.lastModified, 1234);
+  assert.deepEqual([...new Uint8Array(await o.file.arrayBuffer())], [1, 2, 3]);
+  assert.equal(o.empty.size, 0);
+  assert.equal(await o.list[0].text(), "x");
+});
+
+test("serializeAsync: Blobs captured in one pass", async () => {
+  let passes = 0;
+  class P {}
+  const ts = new TurboSerial({ compression: true, compressionThreshold: 0 }).register(P, { tag: "P", encode: () => { passes++; return 0; }, decode: () => new P() });
+  const blob = new Blob(["contents"], { type: "text/plain" });
+  const o = ts.deserialize(await ts.serializeAsync({ p: new P(), blob, again: blob }));
+  assert.equal(passes, 1);
+  assert.equal(await o.blob.text(), "contents");
+  assert.equal(o.again, o.blob);
+});
+
+test("serializeAsync: values without Blobs match serialize(); serialize() writes a placeholder", async () => {
+  const ts = new TurboSerial(), v = { a: [1, 2, 3], s: "text" };
+  assert.deepEqual(await ts.serializeAsync(v), ts.serialize(v));
+  assert.deepEqual(ts.deserialize(ts.serialize({ b: new Blob(["x"]) })).b, { _type: "Binary" });
+});
+
+test("serializeAsync: a Blob whose size changes while it is read rejects", async () => {
+  const blob = new Blob(["four"]);
+  Object.defineProperty(blob, "arrayBuffer", { value: async () => new ArrayBuffer(7) });
+  await assert.rejects(new TurboSerial().serializeAsync({ blob }), RangeError);
+});
+
+test("deserializeAsync: accepts the message as a Blob", async () => {
+  const ts = new TurboSerial(), bytes = await ts.serializeAsync({ b: new Blob(["inner"]) });
+  assert.equal(await (await ts.deserializeAsync(new Blob([bytes]))).b.text(), "inner");
+});
@@ -0,0 +1,54 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import TurboSerial from "../index.js";
+
+const ts = new TurboSerial();
+const rt = v => ts.deserialize(ts.serialize(v));
+
+test("builtins: boxed primitives", () => {
+  const sym = Symbol.for("boxed");
+  const [n, s, b, big, y] = rt([new Number(-0), new String("str"), new Boolean(false), Object(10n), Object(sym)]);
+  assert.ok(n instanceof Number && Object.is(n.valueOf(), -0));
+  assert.ok(s instanceof String && s.valueOf() === "str");
+  assert.ok(b instanceof Boolean && b.valueOf() === false);
+  assert.equal(typeof big, "object");
+  assert.equal(big.valueOf(), 10n);
+  assert.equal(y.valueOf(), sym);
+});
+
+test("builtins: URL, URLSearchParams and Headers", () => {
+  const h = new Headers({ "content-type": "text/plain" });
+  h.append("set-cookie", "a=1");
+  h.append("set-cookie", "b=2");
+  const [url, params, headers] = rt([new URL("https://x.org/a?b=1#c"), new URLSearchParams("a=1&a=2"), h]);
+  assert.equal(url.href, "https://x.org/a?b=1#c");
+  assert.deepEqual(params.getAll("a"), ["1", "2"]);
+  assert.deepEqual(headers.getSetCookie(), ["a=1", "b=2"]);
+  assert.equal(headers.get("content-type"), "text/plain");
+});
+
+test("builtins: Buffer and typed array subclasses", () => {
+  class Vec extends Float32Array {}
+  const buf = Buffer.from("pooled");
+  const o = rt({ buf, vec: new Vec([1, 2]) });
+  assert.ok(Buffer.isBuffer(o.buf));
+  assert.equal(o.buf.toString(), "pooled");
+  assert.equal(o.buf.buffer.byteLength, 6);
+  assert.ok(o.vec instanceof Float32Array && !(o.vec instanceof Vec));
+  const reg = new TurboSerial().register(Vec);
+  const r = reg.deserialize(reg.serialize(new Vec([3, 4])));
+  assert.ok(r instanceof Vec);
+  assert.deepEqual([...r], [3, 4]);
+});
+
+test("builtins: Float16Array where the runtime has it", { skip: typeof Float16Array === "undefined" }, () => {
+  const o = rt(new Float16Array([0.5, 1.5]));
+  assert.ok(o instanceof Float16Array);
+  assert.deepEqual([...o], [0.5, 1.5]);
+});
+
+test("builtins: weak collections are rejected", () => {
+  for (const v of [new WeakMap(), new WeakSet(), new WeakRef({}), new FinalizationRegistry(() => {})]) {
+    assert.throws(() => ts.serialize(v), TypeError);
+  }
+});
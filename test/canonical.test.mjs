@@ -0,0 +1,45 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import TurboSerial from "../index.js";
+
+const canon = new TurboSerial({ canonical: true });
+
+// Bytes of the value itself: null takes one
+const size = v => canon.serialize(v).length - canon.serialize(null).length + 1;
+
+test("canonical: output ignores key and insertion order", () => {
+  const a = canon.serialize({ b: 1, a: new Set([2, 1]), m: new Map([["y", 1], ["x", 2]]) });
+  const b = canon.serialize({ a: new Set([1, 2]), m: new Map([["x", 2], ["y", 1]]), b: 1 });
+  assert.deepEqual(a, b);
+});
+
+test("canonical: output ignores encoder settings", () => {
+  const v = { s: "repeated", t: "repeated", list: [1.5, 2, 3, 4, 5, 6, 7, 8], d: new Date(7) };
+  const other = new TurboSerial({ canonical: true, deduplication: false, sortKeys: false, simdOptimization: false, shapes: true });
+  assert.deepEqual(other.serialize(v), canon.serialize(v));
+  assert.deepEqual(canon.deserialize(canon.serialize(v)), v);
+});
+
+test("canonical: numbers take their shortest encoding", () => {
+  for (const [v, len] of [[5, 2], [-300, 3], [100000, 4], [-1000000, 4], [2 ** 31 - 1, 5], [2 ** 32 - 1, 5], [0.5, 5], [2 ** 40 + 1, 7], [2 ** 50 + 1, 9], [0.1, 9]]) {
+    assert.equal(size(v), len, `${v}`);
+    assert.equal(canon.deserialize(canon.serialize(v)), v);
+  }
+});
+
+test("canonical: packed arrays take their smallest form", () => {
+  const u8 = Array.from({ length: 16 }, (_, i) => 200 + i), run = new Array(64).fill(3), bits = new Array(16).fill(true);
+  assert.ok(size(u8) < 16 + 4);
+  assert.ok(size(run) < 8);
+  assert.ok(size(bits) < 6);
+  for (const v of [u8, run, bits]) assert.deepEqual(canon.deserialize(canon.serialize(v)), v);
+});
+
+test("canonical: rejects values without one encoding", () => {
+  assert.throws(() => canon.serialize({ f() {} }), /Cannot canonicalize/);
+  assert.throws(() => canon.serialize(Symbol("local")), /Cannot canonicalize a local symbol/);
+  const nan = new Float64Array(1);
+  new BigUint64Array(nan.buffer)[0] = 0x7FF8000000000001n;
+  assert.throws(() => canon.serialize(nan[0]), /NaN payload/);
+  assert.throws(() => canon.serialize(new Set([{}, {}])), /encode identically/);
+});
@@ -0,0 +1,121 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { MessageChannel } from "node:worker_threads";
+import TurboSerial from "../index.js";
+import { createChannel } from "../channel.js";
+
+function pair(opts) {
+  const { port1, port2 } = new MessageChannel();
+  const a = createChannel(port1, new TurboSerial(), opts), b = createChannel(port2, new TurboSerial(), opts);
+  return { a, b, close() { a.close(); b.close(); port1.close(); } };
+}
+
+test("out-of-band buffers: serialize/deserialize with { buffers }", () => {
+  const ts = new TurboSerial(), ab = new ArrayBuffer(8), buffers = [];
+  const bytes = ts.serialize({ ab, v: new Uint8Array(ab, 2, 4) }, { buffers });
+  assert.deepEqual(buffers, [ab]);
+  const o = ts.deserialize(bytes, { buffers });
+  assert.equal(o.ab, ab);
+  assert.equal(o.v.buffer, ab);
+  assert.throws(() => ts.deserialize(bytes), /Out-of-band buffer 0/);
+});
+
+test("createChannel: calls and errors", async () => {
+  const { a, b, close } = pair();
+  b.handle("add", (x, y) => x + y);
+  b.handle("fail", () => { const e = new RangeError("bad", { cause: new TypeError("inner") }); e.code = 42; throw e; });
+  assert.equal(await a.call("add", [2, 3]), 5);
+  await assert.rejects(a.call("fail"), e => e instanceof RangeError && e.cause instanceof TypeError && e.code === 42);
+  await assert.rejects(a.call("missing"), /No handler for "missing"/);
+  close();
+});
+
+test("createChannel: ArrayBuffers transfer, SharedArrayBuffers stay shared", async () => {
+  const { a, b, close } = pair();
+  b.handle("echo", v => v);
+  b.handle("fill", sab => { new Int32Array(sab)[0] = 77; });
+  const ab = new ArrayBuffer(64);
+  new Uint8Array(ab)[5] = 9;
+  const r = await a.call("echo", [{ ab, view: new Uint8Array(ab, 4, 4) }]);
+  assert.equal(ab.byteLength, 0);
+  assert.equal(r.view.buffer, r.ab);
+  assert.equal(r.view[1], 9);
+  const sab = new SharedArrayBuffer(8);
+  await a.call("fill", [sab]);
+  assert.equal(new Int32Array(sab)[0], 77);
+  close();
+  const copy = pair({ transfer: false });
+  copy.b.handle("echo", v => v);
+  const kept = new ArrayBuffer(8);
+  await copy.a.call("echo", [kept]);
+  assert.equal(kept.byteLength, 8);
+  copy.close();
+});
+
+test("createChannel: cancellation reaches the handler", async () => {
+  const { a, b, close } = pair();
+  let seen;
+  b.handle("slow", (ms, { signal }) => new Promise((res, rej) => {
+    const t = setTimeout(res, ms);
+    signal.addEventListener("abort", () => { seen = signal.reason; clearTimeout(t); rej(signal.reason); });
+  }));
+  const ac = new AbortController(), p = a.call("slow", [5000], { signal: ac.signal });
+  setTimeout(() => ac.abort(new Error("stop")), 5);
+  await assert.rejects(p, /stop/);
+  await new Promise(r => setTimeout(r, 20));
+  assert.ok(seen instanceof Error);
+  close();
+});
+
+test("createChannel: streams and events", async () => {
+  const { a, b, close } = pair();
+  let produced = 0;
+  b.handle("count", async function* (n) { for (let i = 0; i < n; i++) { produced++; yield i; } });
+  const got = [];
+  for await (const v of a.stream("count", [4])) got.push(v);
+  assert.deepEqual(got, [0, 1, 2, 3]);
+  const early = [];
+  for await (const v of a.stream("count", [1e6])) { early.push(v); if (v === 2) break; }
+  assert.deepEqual(early, [0, 1, 2]);
+  assert.ok(produced < 100, `handler ran ${produced} values ahead`);
+  const events = [];
+  b.on("tick", (x, y) => events.push([x, y]));
+  a.emit("tick", 1, { z: 2 });
+  await new Promise(r => setTimeout(r, 10));
+  assert.deepEqual(events, [[1, { z: 2 }]]);
+  const pending = a.call("count", [1]).catch(e => e);
+  a.close();
+  assert.match((await pending).message, /Channel closed/);
+  close();
+});
+
+test("createChannel: garbage and throwing listeners are reported, not thrown", async () => {
+  const { port1, port2 } = new MessageChannel();
+  const errors = [], a = createChannel(port1, new TurboSerial(), { onError: e => errors.push(e) });
+  const b = createChannel(port2, new TurboSerial());
+  b.handle("ping", () => "pong");
+  a.on("boom", () => { throw new Error("listener failed"); });
+  port2.postMessage("garbage");
+  port2.postMessage([new Uint8Array([1, 2, 3]), []]);
+  port2.postMessage([new TurboSerial().serialize({ not: "a message" }), []]);
+  b.emit("boom");
+  assert.equal(await a.call("ping"), "pong");
+  assert.equal(errors.length, 4);
+  assert.match(errors[3].message, /listener failed/);
+
+  // Without onError the default reports and drops, and the channel keeps working
+  const logged = [], log = console.error;
+  console.error = e => logged.push(e);
+  try {
+    port1.postMessage(["garbage"]);
+    port1.postMessage([new Uint8Array([0xFF, 0, 0, 0]), []]);
+    assert.equal(await b.call("missing").catch(() => "rejected"), "rejected");
+    a.handle("ping", () => "pong back");
+    assert.equal(await b.call("ping"), "pong back");
+  } finally {
+    console.error = log;
+  }
+  assert.equal(logged.length, 2);
+  a.close(); b.close(); port1.close();
+});
+
@@ -0,0 +1,47 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { crc32 } from "node:zlib";
+import TurboSerial, { TurboSerialDecodeError, TurboSerialIntegrityError } from "../index.js";
+
+const value = {
+  a: [1, 2, 3, 4, 5, 6, 7, 8, 9], s: "hello world", again: "hello world", m: new Map([["k", new Set([1])]]),
+  d: new Date(5), t: new Float32Array([1, 2]), o: { x: { y: { z: 1 } } }, e: new TypeError("x"),
+};
+
+for (const algorithm of ["crc32", "xxhash32"]) {
+  test(`checksum (${algorithm}): round-trips and any instance verifies it`, () => {
+    const bytes = new TurboSerial({ checksum: algorithm }).serialize(value);
+    assert.equal(bytes.length, new TurboSerial().serialize(value).length + 4);
+    assert.deepEqual(new TurboSerial().deserialize(bytes), value);
+    const packed = new TurboSerial({ checksum: algorithm, compression: true, compressionThreshold: 0 }).serialize(value);
+    assert.deepEqual(new TurboSerial().deserialize(packed), value);
+  });
+
+  test(`checksum (${algorithm}): every flipped bit after the magic is caught`, () => {
+    // Strict, so a flip that clears the checksum flag still fails on the trailing bytes
+    const ts = new TurboSerial({ strict: true, checksum: algorithm }), bytes = ts.serialize(value);
+    for (let i = 4 * 8; i < bytes.length * 8; i++) {
+      const b = bytes.slice();
+      b[i >> 3] ^= 1 << (i & 7);
+      assert.throws(() => ts.deserialize(b), TurboSerialDecodeError, `bit ${i}`);
+    }
+  });
+}
+
+test("checksum: mismatches report the algorithm and both values", () => {
+  const ts = new TurboSerial({ checksum: "xxhash32" }), bytes = ts.serialize(value);
+  bytes[20] ^= 0x40;
+  assert.throws(() => ts.deserialize(bytes), e => {
+    assert.ok(e instanceof TurboSerialIntegrityError);
+    assert.equal(e.algorithm, "xxhash32");
+    assert.notEqual(e.expected, e.actual);
+    return true;
+  });
+});
+
+test("checksum: crc32 matches zlib", () => {
+  const bytes = new TurboSerial({ checksum: "crc32" }).serialize(value);
+  const stored = new DataView(bytes.buffer, bytes.byteOffset).getUint32(bytes.length - 4, true);
+  assert.equal(stored, crc32(bytes.subarray(4, bytes.length - 4)));
+  assert.throws(() => new TurboSerial({ checksum: "md5" }), /Unknown checksum/);
+});
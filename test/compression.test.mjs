@@ -0,0 +1,34 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import TurboSerial, { TurboSerialDecodeError } from "../index.js";
+
+const value = { users: Array.from({ length: 200 }, (_, i) => ({ id: i, name: "user" + (i % 10), role: "member", tags: ["a", "b"] })) };
+
+test("compression: repetitive data shrinks and any instance decodes it", () => {
+  const plain = new TurboSerial().serialize(value);
+  const packed = new TurboSerial({ compression: true, compressionThreshold: 0 }).serialize(value);
+  assert.ok(packed.length * 2 < plain.length, `${packed.length} vs ${plain.length}`);
+  assert.deepEqual(new TurboSerial().deserialize(packed), value);
+});
+
+test("compression: small or incompressible messages stay as they are", () => {
+  const random = new Uint8Array(4096);
+  for (let i = 0, x = 1; i < random.length; i++) { x = (x * 1103515245 + 12345) >>> 0; random[i] = x >>> 24; }
+  const ts = new TurboSerial({ compression: true, compressionThreshold: 0 });
+  assert.deepEqual(ts.serialize(random), new TurboSerial().serialize(random));
+  assert.deepEqual(new TurboSerial({ compression: true }).serialize(value.users[0]), new TurboSerial().serialize(value.users[0]));
+});
+
+test("compression: strict mode rejects truncated and corrupted blocks", () => {
+  const bytes = new TurboSerial({ compression: true, compressionThreshold: 0 }).serialize(value);
+  const ts = new TurboSerial({ strict: true });
+  for (let cut = 0; cut < bytes.length; cut += 3) {
+    assert.throws(() => ts.deserialize(bytes.subarray(0, cut)), TurboSerialDecodeError, `cut at ${cut}`);
+  }
+  for (let i = 0; i < bytes.length * 8; i += 5) {
+    const b = bytes.slice();
+    b[i >> 3] ^= 1 << (i & 7);
+    try { ts.deserialize(b); } catch (e) { if (!(e instanceof TurboSerialDecodeError)) throw e; }
+  }
+  assert.throws(() => new TurboSerial({ strict: true, maxBytes: 1000 }).deserialize(bytes), TurboSerialDecodeError);
+});
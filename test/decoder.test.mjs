@@ -0,0 +1,49 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import TurboSerial, { TurboSerialDecoder, TurboSerialDecodeError } from "../index.js";
+
+const value = { rows: Array.from({ length: 3000 }, (_, i) => ({ id: i, name: "n" + i, v: [i, i / 2] })) };
+
+test("TurboSerialDecoder: arbitrary fragments", () => {
+  const ts = new TurboSerial(), msgs = [value, "x", [1, 2]].map(v => ts.serialize(v));
+  const all = Buffer.concat(msgs), d = new TurboSerialDecoder({ serializer: ts }), out = [];
+  for (let i = 0; i < all.length; i += 7) out.push(...d.push(all.subarray(i, i + 7)));
+  d.end();
+  assert.deepEqual(out, [value, "x", [1, 2]]);
+});
+
+test("TurboSerialDecoder: values before a failing message stay on the error", () => {
+  const ts = new TurboSerial({ strict: true }), bad = ts.serialize([1, 2]);
+  bad[7] ^= 0xFF; // header count
+  const d = new TurboSerialDecoder({ serializer: new TurboSerial({ strict: true, verifyRefs: true }) });
+  assert.throws(() => d.push(Buffer.concat([ts.serialize("a"), bad, ts.serialize("c")])), e => {
+    assert.deepEqual(e.values, ["a"]);
+    return true;
+  });
+  assert.deepEqual(d.push(new Uint8Array(0)), ["c"]);
+});
+
+test("TurboSerialDecoder: streamed and compressed messages, progress counters, onValue", () => {
+  const ts = new TurboSerial(), chunks = [];
+  ts.serializeChunks(value, c => chunks.push(c.slice()), { chunkSize: 1000 });
+  const packed = new TurboSerial({ compression: true, compressionThreshold: 0 }).serialize(value);
+  const seen = [], d = new TurboSerialDecoder({ serializer: ts, onValue: v => seen.push(v) });
+  for (const c of chunks) d.push(c);
+  assert.equal(seen.length, 1);
+  assert.equal(d.push(packed.subarray(0, 100)).length, 0);
+  assert.equal(d.bufferedBytes, 100);
+  assert.deepEqual(d.push(packed.subarray(100)), [value]);
+  assert.equal(d.bufferedBytes, 0);
+  assert.equal(d.bytesConsumed, Buffer.concat(chunks).length + packed.length);
+  assert.deepEqual(seen, [value, value]);
+});
+
+test("TurboSerialDecoder: end() throws inside a message", () => {
+  const ts = new TurboSerial(), bytes = ts.serialize([1, 2, 3]);
+  const d = new TurboSerialDecoder({ serializer: ts });
+  d.push(bytes.subarray(0, bytes.length - 1));
+  assert.throws(() => d.end(), TurboSerialDecodeError);
+  d.reset();
+  assert.deepEqual(d.push(bytes), [[1, 2, 3]]);
+  d.end();
+});
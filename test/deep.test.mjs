@@ -0,0 +1,100 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import TurboSerial from "../index.js";
+
+// A value touching most types, with shared and circular references
+function sample() {
+  const shared = { id: 7, tags: ["a", "b"] };
+  const buf = new ArrayBuffer(16);
+  const v = {
+    n: [0, -0, 1.5, -7, 2 ** 40, NaN, Infinity], big: 12345678901234567890n, s: "héllo", u: undefined, nil: null,
+    date: new Date(1e12), re: /a+b/gi, map: new Map([["k", shared], [1, new Set([1, "x"])]]),
+    list: [shared, shared, { id: 8, tags: [] }], sparse: [, , 3], packed: [1, 2, 3, 4, 5, 6, 7, 8, 9],
+    bits: Array.from({ length: 12 }, (_, i) => i % 3 === 0),
+    records: Array.from({ length: 20 }, (_, i) => ({ x: i, y: "r" + (i % 4) })),
+    f32: new Float32Array([1, 2, 3]), view: new Uint8Array(buf, 4, 8), whole: new Uint16Array(buf),
+    err: new RangeError("bad", { cause: new Error("inner") }), url: new URL("https://x.org/a?b=1"),
+  };
+  v.self = v;
+  return v;
+}
+
+function check(o) {
+  assert.equal(o.self, o);
+  assert.equal(o.list[0], o.list[1]);
+  assert.equal(o.map.get("k"), o.list[0]);
+  assert.ok(Object.is(o.n[1], -0));
+  assert.ok(Number.isNaN(o.n[5]));
+  assert.equal(o.big, 12345678901234567890n);
+  assert.equal(o.s, "héllo");
+  assert.equal(o.date.getTime(), 1e12);
+  assert.equal(o.re.flags, "gi");
+  assert.deepEqual([...o.map.get(1)], [1, "x"]);
+  assert.equal(o.sparse.length, 3);
+  assert.ok(!(0 in o.sparse));
+  assert.deepEqual(o.packed, [1, 2, 3, 4, 5, 6, 7, 8, 9]);
+  assert.equal(o.bits[3], true);
+  assert.equal(o.records[13].y, "r1");
+  assert.deepEqual([...o.f32], [1, 2, 3]);
+  assert.equal(o.view.length, 8);
+  assert.equal(o.whole.byteLength, 16);
+  assert.ok(o.err instanceof RangeError);
+  assert.equal(o.err.cause.message, "inner");
+  assert.equal(o.url.href, "https://x.org/a?b=1");
+}
+
+test("deep graphs: every type round-trips on the explicit stack", () => {
+  for (const opts of [{}, { iterativeDepth: 0 }, { iterativeDepth: 0, shapes: true }]) {
+    const ts = new TurboSerial(opts), bytes = ts.serialize(sample());
+    check(ts.deserialize(bytes));
+    check(new TurboSerial({ iterativeDepth: 1 }).deserialize(bytes));
+  }
+});
+
+
+test("deep graphs: explicit stack writes the same bytes as recursion", () => {
+  let list = null;
+  for (let i = 0; i < 600; i++) list = { i, next: list, arr: [i], m: new Map([[i, new Set([i])]]) };
+  let err = new Error("root");
+  for (let i = 0; i < 600; i++) err = new Error("e" + i, { cause: err });
+  const value = { list, err, shaped: Array.from({ length: 5 }, (_, i) => ({ a: i, b: [i] })) };
+  const recursive = new TurboSerial({ iterativeDepth: 1e9, shapes: true }).serialize(value);
+  for (const at of [0, 1, 7, 256]) {
+    assert.deepEqual(new TurboSerial({ iterativeDepth: at, shapes: true }).serialize(value), recursive, `iterativeDepth ${at}`);
+  }
+  const o = new TurboSerial({ iterativeDepth: 1 }).deserialize(recursive);
+  let n = 0;
+  for (let p = o.list; p !== null; p = p.next) n++;
+  assert.equal(n, 600);
+});
+
+test("deep graphs: 100k levels encode, decode and open without overflow", () => {
+  let list = null;
+  for (let i = 0; i < 100000; i++) list = { next: list };
+  const ts = new TurboSerial({ index: true });
+  const bytes = ts.serialize({ list });
+  let n = 0;
+  for (let p = ts.deserialize(bytes).list; p !== null; p = p.next) n++;
+  assert.equal(n, 100000);
+  n = 0;
+  for (let p = ts.open(bytes).get("list").value(); p !== null; p = p.next) n++;
+  assert.equal(n, 100000);
+});
+
+test("deep graphs: 50k-long cause chains and nested containers", () => {
+  let err = new Error("root");
+  for (let i = 0; i < 50000; i++) err = new Error("e" + i, { cause: err });
+  let nested = "leaf";
+  for (let i = 0; i < 50000; i++) nested = i % 3 === 0 ? [nested] : i % 3 === 1 ? new Map([["k", nested]]) : new Set([nested]);
+  const ts = new TurboSerial({ index: true }), bytes = ts.serialize({ err, nested });
+  for (const o of [ts.deserialize(bytes), ts.open(bytes).value()]) {
+    let n = 0;
+    for (let e = o.err; e.cause !== undefined; e = e.cause) n++;
+    assert.equal(n, 50000);
+  }
+  const strict = new TurboSerial({ strict: true, maxDepth: 200000 });
+  let depth = 0;
+  for (let v = strict.deserialize(bytes).nested; v !== "leaf"; depth++) v = Array.isArray(v) ? v[0] : v instanceof Map ? v.get("k") : [...v][0];
+  assert.equal(depth, 50000);
+  assert.throws(() => new TurboSerial({ strict: true }).deserialize(bytes), /depth/i);
+});
@@ -0,0 +1,48 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import TurboSerial, { TurboSerialDictionary, TurboSerialDecodeError } from "../index.js";
+
+const msg = { longPropertyName: "value", status: "online", userId: 7 };
+
+test("dictionary: shared across messages", () => {
+  const w = new TurboSerial({ dictionary: new TurboSerialDictionary() });
+  const r = new TurboSerial({ dictionary: new TurboSerialDictionary() });
+  const first = w.serialize(msg), second = w.serialize(msg);
+  assert.ok(second.length < first.length);
+  assert.deepEqual(r.deserialize(first), msg);
+  assert.deepEqual(r.deserialize(second), msg);
+  assert.equal(r.dictionary.version, w.dictionary.version);
+});
+
+test("dictionary: out-of-sync, mismatched and missing dictionaries are rejected", () => {
+  const w = new TurboSerial({ dictionary: true });
+  w.serialize(msg);
+  const second = w.serialize(msg);
+  assert.throws(() => new TurboSerial({ dictionary: true }).deserialize(second), e => e instanceof TurboSerialDecodeError && /out of sync/.test(e.message));
+  assert.throws(() => new TurboSerial().deserialize(second), TurboSerialDecodeError);
+  const a = new TurboSerial({ dictionary: new TurboSerialDictionary({ id: "a" }) });
+  assert.throws(() => new TurboSerial({ dictionary: new TurboSerialDictionary({ id: "b" }) }).deserialize(a.serialize(msg)), TurboSerialDecodeError);
+});
+
+test("dictionary: frozen tables and export/import", () => {
+  const strings = ["longPropertyName", "status", "online"];
+  const w = new TurboSerial({ dictionary: new TurboSerialDictionary({ id: "v1", strings, frozen: true }) });
+  const r = new TurboSerial({ dictionary: new TurboSerialDictionary({ id: "v1", strings, frozen: true }) });
+  const bytes = w.serialize(msg);
+  assert.ok(bytes.length < new TurboSerial().serialize(msg).length);
+  assert.deepEqual(r.deserialize(bytes), msg);
+  assert.equal(w.dictionary.version, 3);
+
+  const tx = new TurboSerialDictionary(), w2 = new TurboSerial({ dictionary: tx });
+  w2.serialize(msg);
+  const late = new TurboSerial({ dictionary: TurboSerialDictionary.from(tx.export()) });
+  assert.deepEqual(late.deserialize(w2.serialize({ ...msg, extra: "status" })), { ...msg, extra: "status" });
+});
+
+test("dictionary: a corrupt message leaves the dictionary unchanged", () => {
+  const w = new TurboSerial({ dictionary: true, checksum: "crc32" }), r = new TurboSerial({ dictionary: true });
+  const bytes = w.serialize(msg);
+  bytes[bytes.length - 6] ^= 1;
+  assert.throws(() => r.deserialize(bytes));
+  assert.equal(r.dictionary.version, 0);
+});
@@ -0,0 +1,57 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import TurboSerial from "../index.js";
+
+const ts = new TurboSerial();
+
+test("errors: type, name, message, stack, cause and own properties", () => {
+  const err = new RangeError("bad", { cause: new TypeError("inner") });
+  err.code = "E_BAD";
+  err.details = { retry: true };
+  const o = ts.deserialize(ts.serialize(err));
+  assert.ok(o instanceof RangeError);
+  assert.equal(o.message, "bad");
+  assert.equal(o.stack, err.stack);
+  assert.ok(o.cause instanceof TypeError);
+  assert.equal(o.cause.message, "inner");
+  assert.equal(o.code, "E_BAD");
+  assert.deepEqual(o.details, { retry: true });
+  assert.ok(!Object.keys(o).includes("cause"));
+});
+
+test("errors: cause cycles, AggregateError and non-error causes", () => {
+  const a = new Error("a"), b = new Error("b", { cause: a });
+  a.cause = b;
+  const agg = new AggregateError([a, new SyntaxError("s")], "many", { cause: "just a string" });
+  const o = ts.deserialize(ts.serialize(agg));
+  assert.ok(o instanceof AggregateError);
+  assert.equal(o.errors[0].cause.cause, o.errors[0]);
+  assert.ok(o.errors[1] instanceof SyntaxError);
+  assert.equal(o.cause, "just a string");
+});
+
+test("errors: subclasses keep their name, registered ones their class", () => {
+  class HttpError extends Error {
+    constructor(msg, status) { super(msg); this.name = "HttpError"; this.status = status; }
+  }
+  const plain = ts.deserialize(ts.serialize(new HttpError("upstream", 502)));
+  assert.ok(plain instanceof Error);
+  assert.equal(plain.name, "HttpError");
+  assert.equal(plain.status, 502);
+  const reg = new TurboSerial().register(HttpError);
+  const o = reg.deserialize(reg.serialize(new HttpError("upstream", 502)));
+  assert.ok(o instanceof HttpError);
+  assert.equal(o.status, 502);
+});
+
+test("errors: DOMException keeps its name and code", () => {
+  const o = ts.deserialize(ts.serialize(new DOMException("gone", "AbortError")));
+  assert.ok(o instanceof DOMException);
+  assert.equal(o.name, "AbortError");
+  assert.equal(o.code, 20);
+});
+
+test("errors: stripStack leaves just the first line", () => {
+  const o = new TurboSerial({ stripStack: true }).deserialize(new TurboSerial({ stripStack: true }).serialize(new TypeError("x")));
+  assert.equal(o.stack, "TypeError: x");
+});
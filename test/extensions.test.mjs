@@ -0,0 +1,35 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import TurboSerial from "../index.js";
+
+class Temp { constructor(c) { this.c = c; } }
+
+test("extensions: raw bytes and nested payloads round-trip", () => {
+  const ts = new TurboSerial()
+    .registerExtension(1, { test: v => v instanceof Temp, encode: t => new Uint8Array([t.c]), decode: b => new Temp(b[0]) })
+    .registerExtension(2, { test: v => v?.kind === "pair", encode: p => [p.a, p.b], decode: ([a, b]) => ({ kind: "pair", a, b }) });
+  const t = new Temp(21), o = ts.deserialize(ts.serialize({ t, again: t, p: { kind: "pair", a: 1, b: "x" } }));
+  assert.ok(o.t instanceof Temp);
+  assert.equal(o.t.c, 21);
+  assert.equal(o.again, o.t);
+  assert.deepEqual(o.p, { kind: "pair", a: 1, b: "x" });
+});
+
+test("extensions: take over built-in types", () => {
+  const calls = [];
+  const ts = new TurboSerial()
+    .registerExtension(10, { test: v => v instanceof Date, encode: d => { calls.push("date"); return d.toISOString(); }, decode: s => ({ iso: s }) })
+    .registerExtension(11, { test: v => v instanceof Map, encode: m => { calls.push("map"); return [...m.keys()]; }, decode: k => k })
+    .registerExtension(12, { test: v => v instanceof RangeError, encode: e => { calls.push("error"); return e.message; }, decode: m => "range: " + m });
+  const o = ts.deserialize(ts.serialize([new Date(0), new Map([["a", 1]]), new RangeError("x"), new Error("kept")]));
+  assert.deepEqual(calls, ["date", "map", "error"]);
+  assert.deepEqual(o.slice(0, 3), [{ iso: "1970-01-01T00:00:00.000Z" }, ["a"], "range: x"]);
+  assert.ok(o[3] instanceof Error);
+});
+
+test("extensions: unknown ids decode to a placeholder or unknownExtension()", () => {
+  const w = new TurboSerial().registerExtension(7, { test: v => v instanceof Temp, encode: t => t.c, decode: c => new Temp(c) });
+  const bytes = w.serialize(new Temp(3));
+  assert.deepEqual(new TurboSerial().deserialize(bytes), { _type: "Extension", id: 7, data: 3 });
+  assert.deepEqual(new TurboSerial({ unknownExtension: (id, data) => [id, data] }).deserialize(bytes), [7, 3]);
+});
@@ -0,0 +1,52 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import TurboSerial, { FrameReader, TurboSerialDecodeError } from "../index.js";
+
+test("FrameReader: frames split and merged arbitrarily, with and without checksums", () => {
+  const ts = new TurboSerial(), values = [{ a: 1 }, "two", [3, 3, 3], null];
+  const all = Buffer.concat(values.map((v, i) => ts.encodeFrame(v, { checksum: i % 2 === 0 })));
+  const out = [], r = new FrameReader({ serializer: ts, onValue: v => out.push(v) });
+  for (let i = 0; i < all.length; i += 5) r.push(all.subarray(i, i + 5));
+  r.end();
+  assert.deepEqual(out, values);
+  assert.equal(r.bytesConsumed, all.length);
+  assert.equal(r.skippedBytes, 0);
+});
+
+test("FrameReader: resyncs past garbage and checksum mismatches", () => {
+  const ts = new TurboSerial(), good = ts.encodeFrame("ok"), bad = ts.encodeFrame("bad", { checksum: true });
+  bad[bad.length - 6] ^= 1;
+  const errs = [], r = new FrameReader({ serializer: ts, onError: e => errs.push(e) });
+  assert.deepEqual(r.push(Buffer.concat([Buffer.from("noise!"), good, bad, good])), ["ok", "ok"]);
+  assert.equal(errs.length, 2);
+  assert.ok(errs.every(e => e instanceof TurboSerialDecodeError));
+  assert.ok(r.skippedBytes >= 6 + bad.length);
+});
+
+test("FrameReader: end() throws inside a frame", () => {
+  const ts = new TurboSerial(), frame = ts.encodeFrame([1, 2]);
+  const r = new FrameReader({ serializer: ts });
+  r.push(frame.subarray(0, frame.length - 1));
+  assert.throws(() => r.end(), TurboSerialDecodeError);
+});
+
+test("FrameReader: a frame that fails to decode goes to onError", () => {
+  const ts = new TurboSerial(), frames = [1, { b: 2 }, "three"].map(v => ts.encodeFrame(v));
+  frames[1][6] = 0xEE; // payload version byte
+  const errs = [], r = new FrameReader({ serializer: ts, onError: e => errs.push(e) });
+  assert.deepEqual(r.push(Buffer.concat(frames)), [1, "three"]);
+  assert.equal(errs.length, 1);
+  assert.match(errs[0].message, /Corrupt frame payload/);
+});
+
+test("FrameReader: without onError a failing frame throws after it is consumed", () => {
+  const ts = new TurboSerial(), frames = ["a", "b", "c"].map(v => ts.encodeFrame(v));
+  frames[1][6] = 0xEE;
+  const r = new FrameReader({ serializer: ts });
+  assert.throws(() => r.push(Buffer.concat(frames)), e => {
+    assert.deepEqual(e.values, ["a"]);
+    assert.ok(e.cause instanceof Error);
+    return true;
+  });
+  assert.deepEqual(r.push(new Uint8Array(0)), ["c"]);
+});
@@ -0,0 +1,62 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import TurboSerial, { TurboSerialDecodeError } from "../index.js";
+
+function snapshot() {
+  const shared = { role: "admin" };
+  const v = {
+    users: Array.from({ length: 100 }, (_, i) => ({ id: i, name: "user" + i, role: i % 10 === 0 ? shared : { role: "member" } })),
+    config: new Map([["theme", "dark"], ["limits", { max: 5 }]]),
+    flags: Array.from({ length: 16 }, (_, i) => i % 2 === 0), nums: [1, 2, 3, 4, 5, 6, 7, 8],
+    shared,
+  };
+  v.self = v;
+  return v;
+}
+
+const ts = new TurboSerial({ index: true });
+const bytes = ts.serialize(snapshot());
+
+test("index: deserialize() ignores the index", () => {
+  const o = new TurboSerial().deserialize(bytes);
+  assert.equal(o.self, o);
+  assert.equal(o.users[20].role, o.shared);
+  assert.ok(bytes.length > new TurboSerial().serialize(snapshot()).length);
+});
+
+test("index: cursor navigation decodes only what it touches", () => {
+  const root = TurboSerial.open(bytes);
+  assert.equal(root.get("users").length, 100);
+  assert.equal(root.get("users").at(42).get("name").value(), "user42");
+  assert.deepEqual(root.get("config").keys(), ["theme", "limits"]);
+  assert.equal(root.get("config").get("limits").get("max").value(), 5);
+  assert.equal(root.get("flags").at(3).value(), false);
+  assert.equal(root.get("nums").at(7).value(), 8);
+  assert.equal(root.get("missing"), undefined);
+  assert.equal(root.get("users").at(1000), undefined);
+});
+
+test("index: references keep their identity however they are reached", () => {
+  const root = ts.open(bytes);
+  const a = root.get("users").at(10).get("role").value(), b = root.get("shared").value();
+  assert.equal(a, b);
+  const whole = root.value();
+  assert.equal(whole.self, whole);
+  assert.equal(whole.shared, b);
+  assert.equal(root.get("self").get("users").at(10).get("role").value(), b);
+});
+
+test("index: messages without an index open eagerly", () => {
+  const root = TurboSerial.open(new TurboSerial().serialize({ a: [1, 2, { b: "c" }] }));
+  assert.equal(root.get("a").at(2).get("b").value(), "c");
+  assert.equal(root.get("a").length, 3);
+});
+
+test("index: strict mode rejects truncated indexed messages", () => {
+  const small = ts.serialize({ a: [1, 2, 3], b: { c: "d" }, s: "repeated text", t: "repeated text" });
+  const strict = new TurboSerial({ strict: true });
+  for (let cut = 0; cut < small.length; cut++) {
+    assert.throws(() => strict.deserialize(small.subarray(0, cut)), TurboSerialDecodeError, `cut at ${cut}`);
+    assert.throws(() => strict.open(small.subarray(0, cut)), TurboSerialDecodeError, `open cut at ${cut}`);
+  }
+});
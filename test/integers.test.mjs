@@ -0,0 +1,35 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import TurboSerial from "../index.js";
+
+const ts = new TurboSerial();
+// Bytes of the value itself: null takes one
+const size = v => ts.serialize(v).length - ts.serialize(null).length + 1;
+
+test("integers: zigzag varints where they beat the fixed forms", () => {
+  assert.equal(size(1_700_000_000_000), 7); // a millisecond timestamp, 9 as FLOAT64
+  assert.equal(size(-1_700_000_000_000), 7);
+  assert.equal(size(500_000), 4);
+  assert.equal(size(2 ** 31 - 1), 5);
+  assert.equal(size(2 ** 52 + 1), 9);
+});
+
+test("integers: every boundary round-trips exactly", () => {
+  const values = [];
+  for (const b of [7, 8, 15, 16, 20, 31, 32, 47, 48, 52, 53]) {
+    for (const d of [-1, 0, 1]) values.push(2 ** b + d, -(2 ** b) - d);
+  }
+  values.push(Number.MAX_SAFE_INTEGER, Number.MIN_SAFE_INTEGER, 2 ** 60, -0, 0.5);
+  const o = ts.deserialize(ts.serialize(values));
+  values.forEach((v, i) => assert.ok(Object.is(o[i], v), `${v}`));
+});
+
+test("integers: lengths and indices above 2^31 survive", () => {
+  const arr = [];
+  arr[2 ** 32 - 2] = "last";
+  arr[2 ** 31 + 5] = "mid";
+  const o = ts.deserialize(ts.serialize(arr));
+  assert.equal(o.length, 2 ** 32 - 1);
+  assert.equal(o[2 ** 31 + 5], "mid");
+  assert.equal(o[2 ** 32 - 2], "last");
+});
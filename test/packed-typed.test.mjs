@@ -0,0 +1,44 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import TurboSerial from "../index.js";
+
+const reader = new TurboSerial({ packedArraysAs: "typed" }), writer = new TurboSerial();
+
+test("packedArraysAs: 'typed' decodes packed arrays as the encoder's element type", () => {
+  const cases = [
+    [[1, -2, 3, 4, 5, 6, 7, 8], Int8Array], [Array.from({ length: 8 }, (_, i) => 200 + i), Uint8Array],
+    [Array.from({ length: 8 }, (_, i) => i % 2 ? 20000 : -20000), Int16Array], [Array.from({ length: 8 }, (_, i) => i % 2 ? 1e6 : -1e6), Int32Array],
+    [[1.5, 2.5, 3.5, 4.5, 5.5, 6.5, 7.5, 8.5], Float32Array], [Array.from({ length: 8 }, (_, i) => i / 3), Float64Array],
+  ];
+  for (const [v, Type] of cases) {
+    const o = reader.deserialize(writer.serialize({ v })).v;
+    assert.ok(o instanceof Type, `${Type.name}: got ${o.constructor.name}`);
+    assert.deepEqual([...o], v);
+  }
+});
+
+test("packedArraysAs: delta and run-length arrays decode to Float64Array", () => {
+  const ids = Array.from({ length: 64 }, (_, i) => 1e12 + i), run = new Array(64).fill(7);
+  for (const v of [ids, run]) {
+    const o = reader.deserialize(writer.serialize(v));
+    assert.ok(o instanceof Float64Array);
+    assert.deepEqual([...o], v);
+  }
+});
+
+test("packedArraysAs: other arrays are unaffected", () => {
+  const v = { short: [1, 2, 3], mixed: [1, "a", 2, 3, 4, 5, 6, 7], bits: new Array(8).fill(true), t: new Uint16Array([1, 2]) };
+  assert.deepEqual(reader.deserialize(writer.serialize(v)), v);
+  assert.throws(() => new TurboSerial({ packedArraysAs: "buffer" }), /Unknown packedArraysAs/);
+});
+
+test("packedArraysAs: with zeroCopy, aligned bodies are views over the input", () => {
+  const zc = new TurboSerial({ packedArraysAs: "typed", zeroCopy: true }), v = [1.5, 2.5, 3.5, 4.5, 5.5, 6.5, 7.5, 8.5];
+  const aligned = writer.serialize(v), o = zc.deserialize(aligned);
+  assert.equal(o.buffer, aligned.buffer);
+  assert.deepEqual([...o], v);
+  // Wrapped in an object the body lands off its alignment and is copied
+  const shifted = writer.serialize({ a: v }), s = zc.deserialize(shifted).a;
+  assert.notEqual(s.buffer, shifted.buffer);
+  assert.deepEqual([...s], v);
+});
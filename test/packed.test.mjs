@@ -0,0 +1,34 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import TurboSerial from "../index.js";
+
+const ts = new TurboSerial();
+const size = v => ts.serialize(v).length - ts.serialize(null).length + 1;
+
+test("packed: unsigned element types", () => {
+  const u8 = Array.from({ length: 100 }, (_, i) => 150 + i), u16 = u8.map(v => v * 200), u32 = u8.map(v => v + 2 ** 31);
+  assert.ok(size(u8) < 100 + 4);
+  assert.ok(size(u16) < 200 + 4);
+  assert.ok(size(u32) < 400 + 6);
+  for (const v of [u8, u16, u32]) assert.deepEqual(ts.deserialize(ts.serialize(v)), v);
+});
+
+test("packed: delta form for sorted ids and timestamps", () => {
+  const ids = Array.from({ length: 1000 }, (_, i) => 1_700_000_000_000 + i * 37);
+  assert.ok(size(ids) < 1000 * 2, `${size(ids)} bytes`);
+  assert.deepEqual(ts.deserialize(ts.serialize(ids)), ids);
+});
+
+test("packed: run-length form keeps NaN and -0 apart from 0", () => {
+  const runs = [...new Array(100).fill(0), ...new Array(100).fill(NaN), ...new Array(100).fill(-0), ...new Array(100).fill(2.5)];
+  assert.ok(size(runs) < 30, `${size(runs)} bytes`);
+  const o = ts.deserialize(ts.serialize(runs));
+  assert.equal(o.length, 400);
+  assert.ok(Object.is(o[99], 0) && Number.isNaN(o[100]) && Object.is(o[200], -0) && o[399] === 2.5);
+});
+
+test("packed: boolean arrays as bitsets", () => {
+  const bits = Array.from({ length: 100 }, (_, i) => i % 3 === 0);
+  assert.ok(size(bits) < 20);
+  assert.deepEqual(ts.deserialize(ts.serialize(bits)), bits);
+});
@@ -0,0 +1,41 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import TurboSerial from "../index.js";
+
+test("properties: named properties on arrays, Maps and Sets by default", () => {
+  const ts = new TurboSerial();
+  const rows = Object.assign([1, 2, 3], { total: 6 }), map = Object.assign(new Map([[1, 2]]), { label: "m" });
+  const set = Object.assign(new Set(["a"]), { note: { deep: true } });
+  const o = ts.deserialize(ts.serialize({ rows, map, set }));
+  assert.equal(o.rows.total, 6);
+  assert.deepEqual([...o.rows], [1, 2, 3]);
+  assert.equal(o.map.label, "m");
+  assert.equal(o.map.get(1), 2);
+  assert.deepEqual(o.set.note, { deep: true });
+});
+
+test("properties: symbolKeys keeps symbol-keyed properties", () => {
+  const ts = new TurboSerial({ symbolKeys: true }), local = Symbol("meta"), global = Symbol.for("app.id");
+  const obj = { [local]: "cached", [global]: 7, [Symbol.iterator]: null, plain: 1, again: local };
+  const o = ts.deserialize(ts.serialize({ obj, arr: Object.assign([1], { [global]: "on array" }) }));
+  assert.equal(o.obj[global], 7);
+  assert.ok(Symbol.iterator in o.obj);
+  const [sym] = Object.getOwnPropertySymbols(o.obj).filter(s => s.description === "meta");
+  assert.notEqual(sym, local);
+  assert.equal(o.obj[sym], "cached");
+  assert.equal(o.obj.again, sym);
+  assert.equal(o.arr[global], "on array");
+  assert.equal(Object.getOwnPropertySymbols(new TurboSerial().deserialize(new TurboSerial().serialize(obj))).length, 0);
+});
+
+test("properties: includeNonEnumerable restores hidden fields as hidden", () => {
+  const ts = new TurboSerial({ includeNonEnumerable: true });
+  const obj = { shown: 1 }, rows = [1, 2];
+  Object.defineProperty(obj, "hidden", { value: 2, writable: true, configurable: true });
+  Object.defineProperty(rows, "version", { value: 3, writable: true, configurable: true });
+  const o = ts.deserialize(ts.serialize({ obj, rows }));
+  assert.equal(o.obj.hidden, 2);
+  assert.deepEqual(Object.keys(o.obj), ["shown"]);
+  assert.equal(o.rows.version, 3);
+  assert.ok(!Object.keys(o.rows).includes("version"));
+});
@@ -0,0 +1,42 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import TurboSerial from "../index.js";
+
+test("refs: every object kind keeps its identity", () => {
+  const ts = new TurboSerial({ verifyRefs: true });
+  const d = new Date(1), re = /x/g, err = new Error("e"), ab = new ArrayBuffer(16), url = new URL("https://x.org");
+  const whole = new Uint8Array(ab), part = new Int16Array(ab, 4, 2), big = 10n ** 30n;
+  const o = ts.deserialize(ts.serialize([d, re, err, ab, whole, part, url, d, re, err, ab, whole, part, url, big, big]));
+  for (let i = 0; i < 7; i++) assert.equal(o[i], o[i + 7], `entry ${i}`);
+  assert.equal(o[4].buffer, o[3]);
+  assert.equal(o[5].buffer, o[3]);
+  assert.equal(o[5].byteOffset, 4);
+  assert.equal(o[14], big);
+});
+
+test("refs: references after a buffer's view resolve to the right targets", () => {
+  const ts = new TurboSerial({ verifyRefs: true }), ab = new ArrayBuffer(8), shared = { n: 1 };
+  const o = ts.deserialize(ts.serialize({ v: new Float32Array(ab), later: new Int8Array(ab, 2, 2), x: shared, y: [shared], ab }));
+  assert.equal(o.later.buffer, o.v.buffer);
+  assert.equal(o.ab, o.v.buffer);
+  assert.equal(o.x, o.y[0]);
+});
+
+test("wire v9: every object takes a ref id, counted in the header", () => {
+  const ts = new TurboSerial({ verifyRefs: true });
+  const shared = {};
+  const ab = new ArrayBuffer(4);
+  const bytes = ts.serialize([shared, shared, new Map(), new Uint8Array(ab), ab, "a repeated string", "a repeated string"]);
+  assert.equal(bytes[4], 9); // version
+  const view = new DataView(bytes.buffer, bytes.byteOffset);
+  // the array, {}, the Map, the view and its buffer; strings have their own table
+  assert.equal(view.getUint32(6, true), 5);
+  assert.equal(view.getUint32(10, true), 1);
+  const o = ts.deserialize(bytes);
+  assert.equal(o[0], o[1]);
+  assert.equal(o[3].buffer, o[4]);
+  // A header count that disagrees with the body is caught
+  const bad = bytes.slice();
+  new DataView(bad.buffer).setUint32(6, 6, true);
+  assert.throws(() => ts.deserialize(bad), /ref/i);
+});
@@ -0,0 +1,58 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import TurboSerial, { ctorSymbol } from "../index.js";
+
+class Point { constructor(x, y) { this.x = x; this.y = y; } len() { return Math.hypot(this.x, this.y); } }
+class Money { constructor(cents) { this.cents = cents; } }
+class Tree { constructor(name) { this.name = name; this.parent = null; this.children = []; } }
+
+test("registry: instances come back with their prototype, shared and circular refs kept", () => {
+  const ts = new TurboSerial().register(Point, { tag: "geo.Point" });
+  const p = new Point(3, 4), o = ts.deserialize(ts.serialize({ a: p, b: p, list: [p] }));
+  assert.ok(o.a instanceof Point);
+  assert.equal(o.a.len(), 5);
+  assert.equal(o.a, o.b);
+  assert.equal(o.list[0], o.a);
+});
+
+test("registry: encode/decode hooks", () => {
+  const ts = new TurboSerial().register(Money, { tag: "Money", encode: m => m.cents, decode: c => new Money(c) });
+  const m = new Money(250), o = ts.deserialize(ts.serialize([m, m]));
+  assert.ok(o[0] instanceof Money);
+  assert.equal(o[0].cents, 250);
+  assert.equal(o[0], o[1]);
+});
+
+test("registry: a hooked payload pointing back at its instance resolves to the filled target", () => {
+  const hooks = {
+    tag: "Tree",
+    encode: t => [t.name, t.parent, t.children],
+    decode: ([name, parent, children], target) => Object.assign(target, { name, parent, children }),
+  };
+  const root = new Tree("root"), leaf = new Tree("leaf");
+  leaf.parent = root; root.children.push(leaf);
+  for (const opts of [{}, { iterativeDepth: 0 }]) {
+    const ts = new TurboSerial(opts).register(Tree, hooks), o = ts.deserialize(ts.serialize(root));
+    assert.ok(o instanceof Tree);
+    assert.equal(o.children[0].parent, o);
+    assert.equal(o.children[0].name, "leaf");
+  }
+  const ts = new TurboSerial({ index: true }).register(Tree, hooks);
+  const leafOut = ts.open(ts.serialize({ root })).get("root").value().children[0];
+  assert.equal(leafOut.parent.children[0], leafOut);
+});
+
+test("registry: a decode() that drops a reachable target throws instead of losing the cycle", () => {
+  const ts = new TurboSerial().register(Tree, { tag: "Tree", encode: t => [t.name, t.parent], decode: ([name]) => new Tree(name) });
+  const t = new Tree("loop");
+  t.parent = t;
+  assert.throws(() => ts.deserialize(ts.serialize(t)), /must return its target/);
+  assert.equal(ts.deserialize(ts.serialize(new Tree("plain"))).name, "plain");
+});
+
+test("registry: unknown tags decode as tagged plain objects", () => {
+  const w = new TurboSerial().register(Point, { tag: "geo.Point" });
+  const o = new TurboSerial().deserialize(w.serialize(new Point(1, 2)));
+  assert.deepEqual([o.x, o.y], [1, 2]);
+  assert.equal(o[ctorSymbol], "geo.Point");
+});
@@ -0,0 +1,50 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import TurboSerial from "../index.js";
+
+const ts = new TurboSerial();
+const order = {
+  header: { id: 42, customer: { name: "Ada", email: "ada@x.org" } },
+  items: [{ sku: "a", price: 10, qty: 1 }, { sku: "b", price: 20, qty: 2 }, { sku: "c", price: 30, qty: 3 }],
+  meta: new Map([["source", "web"], ["a.b", 1]]),
+  "dotted.key": true,
+};
+
+test("select: builds only the listed paths", () => {
+  const bytes = ts.serialize(order);
+  assert.deepEqual(ts.deserialize(bytes, { select: ["header.id", "items[*].price"] }),
+    { header: { id: 42 }, items: [{ price: 10 }, { price: 20 }, { price: 30 }] });
+  assert.deepEqual(ts.deserialize(bytes, { select: ["header.customer"] }), { header: { customer: order.header.customer } });
+  assert.deepEqual(ts.deserialize(bytes, { select: ['["dotted.key"]', "missing.path"] }), { "dotted.key": true });
+  assert.deepEqual(ts.deserialize(bytes, { select: ["meta.source"] }).meta, new Map([["source", "web"]]));
+});
+
+test("select: indices keep their position", () => {
+  const o = ts.deserialize(ts.serialize(order), { select: ["items[2].sku"] });
+  assert.equal(o.items.length, 3);
+  assert.ok(!(0 in o.items));
+  assert.deepEqual(o.items[2], { sku: "c" });
+});
+
+test("select: references into skipped data keep their identity", () => {
+  const shared = { deep: { v: 1 } }, word = "a string long enough to dedupe";
+  const bytes = ts.serialize({ skipped: [shared, word], kept: { a: shared, b: shared, s: word } });
+  const o = ts.deserialize(bytes, { select: ["kept"] });
+  assert.equal(o.skipped, undefined);
+  assert.equal(o.kept.a, o.kept.b);
+  assert.deepEqual(o.kept.a, shared);
+  assert.equal(o.kept.s, word);
+});
+
+test("select: works on compressed, checksummed, streamed and strict input", () => {
+  const chunks = [];
+  ts.serializeChunks(order, c => chunks.push(c.slice()), { chunkSize: 64 });
+  const inputs = [
+    new TurboSerial({ compression: true, compressionThreshold: 0 }).serialize(order),
+    new TurboSerial({ checksum: "crc32" }).serialize(order),
+    Buffer.concat(chunks),
+  ];
+  for (const bytes of inputs) {
+    assert.deepEqual(new TurboSerial({ strict: true }).deserialize(bytes, { select: ["items[1].qty"] }).items[1], { qty: 2 });
+  }
+});
@@ -0,0 +1,43 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import TurboSerial from "../index.js";
+
+const rows = Array.from({ length: 50 }, (_, i) => ({ id: i, price: i * 1.5, name: "row" + (i % 5), tags: [i] }));
+
+test("shapes: off by default", () => {
+  assert.deepEqual(new TurboSerial().serialize(rows), new TurboSerial({ shapes: false }).serialize(rows));
+});
+
+test("shapes: records share one key list and decode with one hidden class", () => {
+  const shaped = new TurboSerial({ shapes: true }), bytes = shaped.serialize(rows);
+  assert.ok(bytes.length < new TurboSerial().serialize(rows).length * 0.8);
+  const o = shaped.deserialize(bytes);
+  assert.deepEqual(o, rows);
+  assert.deepEqual(Object.keys(o[49]), ["id", "price", "name", "tags"]);
+  assert.deepEqual(new TurboSerial().deserialize(bytes), rows);
+});
+
+test("shapes: columnar packs each key's values and implies shapes", () => {
+  const columnar = new TurboSerial({ columnar: true }), bytes = columnar.serialize(rows);
+  assert.ok(bytes.length < new TurboSerial({ shapes: true }).serialize(rows).length);
+  assert.deepEqual(new TurboSerial().deserialize(bytes), rows);
+});
+
+test("shapes: references to and from records keep their identity", () => {
+  for (const opts of [{ shapes: true }, { columnar: true }]) {
+    const ts = new TurboSerial(opts), list = rows.map(r => ({ ...r }));
+    const v = { list, first: list[0] };
+    for (const r of list) r.root = v;
+    const o = ts.deserialize(ts.serialize(v));
+    assert.equal(o.first, o.list[0]);
+    assert.equal(o.list[10].root, o);
+  }
+});
+
+test("shapes: mixed key sets and indexed messages keep the per-element encoding", () => {
+  const mixed = [{ a: 1 }, { b: 2 }, { a: 3 }];
+  assert.deepEqual(new TurboSerial({ shapes: true }).serialize(mixed), new TurboSerial().serialize(mixed));
+  const indexed = new TurboSerial({ shapes: true, index: true });
+  assert.deepEqual(indexed.deserialize(indexed.serialize(rows)), rows);
+  assert.equal(indexed.open(indexed.serialize(rows)).at(7).get("name").value(), "row2");
+});
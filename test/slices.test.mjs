@@ -0,0 +1,37 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import TurboSerial from "../index.js";
+
+const value = { rows: Array.from({ length: 3000 }, (_, i) => ({ id: i, name: "n" + i, v: [i, i / 2] })) };
+
+test("serializeAsync / deserializeAsync: slices match, signal aborts", async () => {
+  const ts = new TurboSerial(), bytes = ts.serialize(value);
+  assert.deepEqual(await ts.serializeAsync(value, { budgetMs: 1 }), bytes);
+  assert.deepEqual(await ts.deserializeAsync(bytes, { budgetMs: 1 }), value);
+  const big = Array.from({ length: 200000 }, (_, i) => ({ i, s: "v" + i })), ac = new AbortController();
+  setTimeout(() => ac.abort(new Error("stop")), 1);
+  await assert.rejects(ts.serializeAsync(big, { signal: ac.signal }), /stop/);
+});
+
+test("serializeAsync / deserializeAsync: the event loop runs between slices", async () => {
+  const ts = new TurboSerial(), big = { rows: Array.from({ length: 100000 }, (_, i) => ({ i, s: "v" + i })) };
+  let ticks = 0;
+  const timer = setInterval(() => ticks++, 0);
+  try {
+    const bytes = await ts.serializeAsync(big, { budgetMs: 2 });
+    // The instance stays usable while a sliced call is pending
+    const pending = ts.deserializeAsync(bytes, { budgetMs: 2 });
+    assert.deepEqual(ts.deserialize(ts.serialize([1])), [1]);
+    assert.equal((await pending).rows[99999].s, "v99999");
+  } finally {
+    clearInterval(timer);
+  }
+  assert.ok(ticks > 2, `${ticks} timer ticks`);
+});
+
+test("serializeAsync: an aborted signal rejects with its reason", async () => {
+  const ts = new TurboSerial(), ac = new AbortController();
+  ac.abort(new Error("early"));
+  await assert.rejects(ts.serializeAsync(value, { signal: ac.signal }), /early/);
+  await assert.rejects(ts.deserializeAsync(ts.serialize(value), { signal: ac.signal }), /early/);
+});
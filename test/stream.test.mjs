@@ -0,0 +1,46 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import TurboSerial from "../index.js";
+import { serializeToNodeStream } from "../node.js";
+
+const value = { rows: Array.from({ length: 3000 }, (_, i) => ({ id: i, name: "n" + i, v: [i, i / 2] })) };
+
+test("serializeToStream: same bytes as serializeChunks, encoded on demand", async () => {
+  let encoded = 0;
+  class P { constructor(i) { this.i = i; } }
+  const ts = new TurboSerial().register(P, { tag: "P", encode: p => { encoded++; return p.i; }, decode: i => new P(i) });
+  const data = Array.from({ length: 20000 }, (_, i) => new P(i));
+  const whole = [];
+  ts.serializeChunks(data, c => whole.push(c), { chunkSize: 1024 });
+  encoded = 0;
+  const it = ts.serializeToStream(data, { chunkSize: 1024 })[Symbol.asyncIterator]();
+  const parts = [(await it.next()).value];
+  assert.ok(encoded < 1000, `encoded ${encoded} records for the first chunk`);
+  for (let r; !(r = await it.next()).done;) parts.push(r.value);
+  assert.deepEqual(Buffer.concat(parts), Buffer.concat(whole));
+  assert.equal(ts.deserialize(Buffer.concat(parts))[19999].i, 19999);
+});
+
+test("serializeChunks: chunks of chunkSize that decode once joined", () => {
+  const ts = new TurboSerial(), chunks = [];
+  const payload = { ...value, pixels: new Float64Array(5000).map((_, i) => i) };
+  const total = ts.serializeChunks(payload, c => chunks.push(c.slice()), { chunkSize: 4096 });
+  const joined = Buffer.concat(chunks);
+  assert.equal(joined.length, total);
+  assert.ok(chunks.length > 10);
+  for (const c of chunks.slice(0, -1)) assert.ok(c.length <= 4096 + 64, `chunk of ${c.length}`);
+  const o = ts.deserialize(joined);
+  assert.deepEqual(o.rows, value.rows);
+  assert.equal(o.pixels[4999], 4999);
+});
+
+test("serializeToReadableStream and the Node adapter carry the same bytes", async () => {
+  const ts = new TurboSerial(), whole = [];
+  ts.serializeChunks(value, c => whole.push(c.slice()), { chunkSize: 2048 });
+  const web = [];
+  for await (const c of ts.serializeToReadableStream(value, { chunkSize: 2048 })) web.push(c);
+  const node = [];
+  for await (const c of serializeToNodeStream(ts, value, { chunkSize: 2048 })) node.push(c);
+  assert.deepEqual(Buffer.concat(web), Buffer.concat(whole));
+  assert.deepEqual(Buffer.concat(node), Buffer.concat(whole));
+});
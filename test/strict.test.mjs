@@ -0,0 +1,54 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import TurboSerial, { TurboSerialDecodeError } from "../index.js";
+
+const value = {
+  a: [1, 2, 3, 4, 5, 6, 7, 8, 9], s: "hello world", again: "hello world", m: new Map([["k", new Set([1])]]),
+  d: new Date(5), t: new Float32Array([1, 2]), big: 12345678901234567890123n, sparse: [, , 3],
+  o: { x: { y: { z: 1 } } }, rows: [{ p: 1, q: "a" }, { p: 2, q: "b" }], e: new TypeError("x"),
+};
+
+// Deterministic xorshift, so failures reproduce
+function rng(seed) {
+  return () => { seed ^= seed << 13; seed ^= seed >>> 17; seed ^= seed << 5; return (seed >>> 0) / 2 ** 32; };
+}
+
+function onlyDecodeErrors(ts, bytes) {
+  try { ts.deserialize(bytes); } catch (e) { if (!(e instanceof TurboSerialDecodeError)) throw e; }
+}
+
+const bytes = new TurboSerial().serialize(value);
+
+test("strict: round-trips what the default reader does", () => {
+  assert.deepEqual(new TurboSerial({ strict: true }).deserialize(bytes), new TurboSerial().deserialize(bytes));
+});
+
+test("strict: every truncation throws TurboSerialDecodeError", () => {
+  const ts = new TurboSerial({ strict: true });
+  for (let cut = 0; cut < bytes.length; cut++) {
+    assert.throws(() => ts.deserialize(bytes.subarray(0, cut)), TurboSerialDecodeError, `cut at ${cut}`);
+  }
+});
+
+test("strict: bit flips throw only TurboSerialDecodeError", () => {
+  const ts = new TurboSerial({ strict: true }), rand = rng(0x9e3779b9);
+  for (let i = 0; i < bytes.length * 8; i++) {
+    const b = bytes.slice();
+    b[i >> 3] ^= 1 << (i & 7);
+    onlyDecodeErrors(ts, b);
+  }
+  for (let i = 0; i < 3000; i++) {
+    const b = bytes.slice();
+    for (let j = 0; j < 1 + (i % 3); j++) b[Math.floor(rand() * b.length)] = Math.floor(rand() * 256);
+    onlyDecodeErrors(ts, b);
+  }
+});
+
+test("strict: limits and __proto__", () => {
+  const w = new TurboSerial();
+  assert.throws(() => new TurboSerial({ strict: true }).deserialize(w.serialize(JSON.parse('{"__proto__": {"polluted": 1}}'))), /__proto__/);
+  assert.throws(() => new TurboSerial({ strict: true, maxDepth: 3 }).deserialize(w.serialize({ a: { b: { c: { d: 1 } } } })), TurboSerialDecodeError);
+  assert.throws(() => new TurboSerial({ strict: true, maxStringLength: 3 }).deserialize(w.serialize("abcdef")), TurboSerialDecodeError);
+  assert.throws(() => new TurboSerial({ strict: true, maxArrayLength: 2 }).deserialize(w.serialize([1, 2, 3])), TurboSerialDecodeError);
+  assert.throws(() => new TurboSerial({ strict: true }).deserialize(new Uint8Array([...w.serialize(1), 0])), /Trailing data/);
+});
@@ -0,0 +1,36 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import TurboSerial from "../index.js";
+
+const zc = new TurboSerial({ zeroCopy: true });
+
+test("zeroCopy: typed arrays decode as views over the input", () => {
+  const value = { tag: "x", pixels: new Float32Array([1, 2, 3, 4]), ids: new Uint16Array([7, 8, 9]), f64: new Float64Array([0.1, 0.2]) };
+  const bytes = zc.serialize(value), o = zc.deserialize(bytes);
+  for (const k of ["pixels", "ids", "f64"]) {
+    assert.equal(o[k].buffer, bytes.buffer, k);
+    assert.deepEqual([...o[k]], [...value[k]]);
+  }
+  // Padded data decodes with any instance, as copies
+  const copy = new TurboSerial().deserialize(bytes);
+  assert.notEqual(copy.f64.buffer, bytes.buffer);
+  assert.deepEqual([...copy.f64], [0.1, 0.2]);
+});
+
+test("zeroCopy: bodies that can't be views are copies", () => {
+  const value = { big: new BigInt64Array([1n, -2n]), ab: new ArrayBuffer(8), f: new Float64Array(64).fill(1) };
+  const bytes = zc.serialize(value), o = zc.deserialize(bytes);
+  assert.notEqual(o.big.buffer, bytes.buffer);
+  assert.deepEqual([...o.big], [1n, -2n]);
+  assert.notEqual(o.ab, bytes.buffer);
+  assert.equal(o.ab.byteLength, 8);
+  // Misaligned input (a view at an odd offset) falls back to copying
+  const shifted = new Uint8Array(bytes.length + 1);
+  shifted.set(bytes, 1);
+  const m = zc.deserialize(shifted.subarray(1));
+  assert.notEqual(m.f.buffer, shifted.buffer);
+  assert.equal(m.f[63], 1);
+  // Compressed messages point into the decompressed buffer
+  const packed = new TurboSerial({ zeroCopy: true, compression: true, compressionThreshold: 0 }).serialize(value);
+  assert.notEqual(zc.deserialize(packed).f.buffer, packed.buffer);
+});